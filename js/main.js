@@ -1,12 +1,29 @@
 // Constants
 const SELECTORS = {
     SIDEBAR: '.docs-sidebar',
+    SIDEBAR_LINKS: '.docs-sidebar nav a[href^="#"]',
+    SIDEBAR_NAV: '.docs-sidebar nav',
     MENU_ITEMS: '.docs-sidebar nav ul > li > a',
     SUBMENU_ITEMS: '.docs-sidebar nav ul li .sub-menu a',
     DOCS_CONTENT: '#docs-content',
     MOBILE_MENU_TOGGLE: '.mobile-menu-toggle',
     NAV_LINKS: '.nav-links',
-    SIDEBAR_TOGGLE: '.sidebar-toggle'
+    SIDEBAR_TOGGLE: '.sidebar-toggle',
+    SEARCH_INPUT: '.docs-search-input',
+    SEARCH_RESULTS: '.docs-search-results',
+    PAGE_TOC: '.docs-toc',
+    PAGE_TOC_NAV: '.docs-toc-nav',
+    PAGE_TOC_TOGGLE: '.docs-toc-toggle',
+    VERSION_SWITCHER: '.docs-version',
+    VERSION_SELECT: '.docs-version-select',
+    VERSION_BANNER: '.docs-version-banner',
+    COMMAND_PALETTE: '.command-palette',
+    COMMAND_PALETTE_INPUT: '.command-palette-input',
+    COMMAND_PALETTE_RESULTS: '.command-palette-results',
+    THEME_TOGGLE: '.theme-toggle',
+    THEME_COLOR: 'meta[name="theme-color"]',
+    CODE_THEMES: 'link[data-code-theme]',
+    NEWS_CONTAINER: '.news-container'
 };
 
 const CLASSES = {
@@ -16,6 +33,276 @@ const CLASSES = {
     ACTIVE: 'active'
 };
 
+const VERSIONS_MANIFEST = 'content/versions.json';
+const DOCS_SHELL = 'documentation.html';
+const NAVIGATION_MANIFEST = 'navigation.json';
+
+const BREAKPOINTS = {
+    MOBILE: 768,
+    WIDE: 1280
+};
+
+// Set on #docs-content by scripts/prerender.js in the static page generated for each documentation page
+const PRERENDERED_PAGE_ATTRIBUTE = 'data-prerendered-page';
+
+const EVENTS = {
+    CONTENT_LOADED: 'docs:content-loaded'
+};
+
+const SEARCH_OPTIONS = {
+    MAX_RESULTS: 12,
+    SNIPPET_BEFORE: 60,
+    SNIPPET_AFTER: 120,
+    DEBOUNCE_MS: 150
+};
+
+const REMOTE_CONTENT_OPTIONS = {
+    TTL_MS: 60 * 60 * 1000,
+    TIMEOUT_MS: 10000,
+    RETRIES: 2,
+    BACKOFF_MS: 500,
+    STORAGE_PREFIX: 'water-docs:remote:'
+};
+
+const PAGE_META = {
+    TITLE_SUFFIX: ' - Water Framework Documentation',
+    DESCRIPTION: 'meta[name="description"]',
+    CANONICAL: 'link[rel="canonical"]',
+    // Written by scripts/prerender.js into the built site: the pages that exist as <page-id>.html
+    STATIC_PAGES: 'meta[name="static-pages"]'
+};
+
+// js/theme.js applies the stored or system theme before first paint and must use the same key and colours
+const THEME_OPTIONS = {
+    STORAGE_KEY: 'water-docs:theme',
+    THEME_COLORS: {
+        light: '#0066cc',
+        dark: '#0f172a'
+    }
+};
+
+const SOURCE_REPOSITORY = {
+    URL: 'https://github.com/Water-Framework/water-site',
+    BRANCH: 'main',
+    LAST_UPDATED_MANIFEST: 'content/last-updated.json'
+};
+
+// Allowlist applied to rendered markdown before it reaches the page. Remote READMEs get the
+// stricter profile: no ids, names or arbitrary classes (they could clobber globals or mimic our UI).
+const SANITIZER_OPTIONS = {
+    TAGS: [
+        'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'br', 'hr', 'blockquote', 'pre', 'code', 'kbd', 'samp', 'var',
+        'em', 'strong', 'b', 'i', 'u', 's', 'del', 'ins', 'sub', 'sup', 'small', 'mark', 'abbr', 'cite', 'q',
+        'ul', 'ol', 'li', 'dl', 'dt', 'dd', 'a', 'img', 'picture', 'figure', 'figcaption', 'details', 'summary',
+        'table', 'caption', 'colgroup', 'col', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td', 'div', 'span', 'input'
+    ],
+    // Removed together with their content; anything else outside TAGS is unwrapped and keeps its text
+    DROPPED_TAGS: [
+        'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'form', 'button', 'select',
+        'textarea', 'template', 'noscript', 'svg', 'math', 'link', 'meta', 'base', 'title', 'head'
+    ],
+    ATTRIBUTES: {
+        '*': ['title', 'lang', 'dir', 'align'],
+        a: ['href'],
+        img: ['src', 'alt', 'width', 'height'],
+        ol: ['start', 'type'],
+        li: ['value'],
+        th: ['colspan', 'rowspan', 'scope'],
+        td: ['colspan', 'rowspan'],
+        col: ['span'],
+        details: ['open'],
+        input: ['type', 'checked', 'disabled'],
+        pre: ['data-language', 'data-title', 'data-lines', 'data-tab']
+    },
+    // Classes produced by our own markdown extensions, kept for every source
+    OWN_CLASSES: /^(language-[\w-]+|callout(-[\w-]+)?|fa[srb]?|fa-[\w-]+)$/,
+    URL_ATTRIBUTES: ['href', 'src'],
+    PROFILES: {
+        local: {
+            attributes: { '*': ['id', 'class'], a: ['name'] },
+            linkSchemes: ['http:', 'https:', 'mailto:'],
+            imageSchemes: ['http:', 'https:'],
+            dataImages: true
+        },
+        remote: {
+            attributes: {},
+            linkSchemes: ['http:', 'https:', 'mailto:'],
+            imageSchemes: ['https:'],
+            dataImages: false
+        }
+    }
+};
+
+const DIAGRAM_OPTIONS = {
+    LIBRARY_URL: 'https://cdn.jsdelivr.net/npm/mermaid@10.9.1/dist/mermaid.min.js',
+    CODE_BLOCKS: 'pre code.language-mermaid'
+};
+
+const CODE_BLOCK_OPTIONS = {
+    SHELL_LANGUAGES: ['bash', 'sh', 'shell', 'console', 'zsh'],
+    COPY_FEEDBACK_MS: 2000,
+    LANGUAGE_LABELS: {
+        java: 'Java',
+        bash: 'Shell',
+        sh: 'Shell',
+        shell: 'Shell',
+        console: 'Shell',
+        zsh: 'Shell',
+        properties: 'Properties',
+        gherkin: 'Gherkin',
+        groovy: 'Groovy',
+        gradle: 'Gradle',
+        json: 'JSON',
+        javascript: 'JavaScript',
+        js: 'JavaScript',
+        typescript: 'TypeScript',
+        xml: 'XML',
+        yaml: 'YAML',
+        yml: 'YAML',
+        sql: 'SQL',
+        html: 'HTML',
+        css: 'CSS',
+        kotlin: 'Kotlin',
+        markdown: 'Markdown',
+        md: 'Markdown'
+    }
+};
+
+const CODE_TABS_OPTIONS = {
+    STORAGE_KEY: 'water-docs:code-tabs',
+    MAX_PREFERENCES: 10
+};
+
+// Callout types: ":::warning" containers and GitHub's "> [!WARNING]" blockquotes
+const CALLOUT_TYPES = {
+    note: { icon: 'fas fa-info-circle', title: 'Note' },
+    info: { icon: 'fas fa-info-circle', title: 'Info' },
+    tip: { icon: 'fas fa-lightbulb', title: 'Tip' },
+    important: { icon: 'fas fa-exclamation-circle', title: 'Important' },
+    warning: { icon: 'fas fa-exclamation-triangle', title: 'Warning' },
+    caution: { icon: 'fas fa-hand-paper', title: 'Caution' },
+    danger: { icon: 'fas fa-skull-crossbones', title: 'Danger' }
+};
+
+const COMMAND_PALETTE_OPTIONS = {
+    MAX_RESULTS: 50,
+    SEQUENCE_TIMEOUT_MS: 1000
+};
+
+const PAGE_TOC_OPTIONS = {
+    HEADINGS: 'h2, h3, h4',
+    MIN_HEADINGS: 2,
+    SCROLL_OFFSET: 120
+};
+
+// yo water command builder: the home page's quick start and ```yo-water blocks in markdown pages.
+// Answers are shared through yo-* URL parameters so they do not clash with the docs' own ?page= and ?version=.
+const COMMAND_BUILDER_OPTIONS = {
+    EMBED_LANGUAGE: 'yo-water',
+    ROOTS: '[data-command-builder]',
+    RUNTIMES: [
+        { id: 'spring', label: 'Spring Boot 3.x' },
+        { id: 'osgi', label: 'OSGi (Karaf)' },
+        { id: 'quarkus', label: 'Quarkus' }
+    ],
+    OPTIONS: [
+        { key: 'rest', label: 'REST endpoints', hint: 'CRUD REST API and Karate tests per entity' },
+        { key: 'permissions', label: 'Permission system', hint: 'Protected entities with default roles' },
+        { key: 'serviceDiscovery', label: 'Service discovery', hint: 'Registers with ServiceDiscovery at startup' }
+    ],
+    DEFAULTS: {
+        projectName: 'MyService',
+        groupId: 'com.myapp',
+        runtime: 'spring',
+        entities: ['Product(name:String, price:double)'],
+        rest: true,
+        permissions: false,
+        serviceDiscovery: false
+    },
+    URL_PARAMETERS: {
+        projectName: 'yo-project',
+        groupId: 'yo-group',
+        runtime: 'yo-runtime',
+        entities: 'yo-entity',
+        rest: 'yo-rest',
+        permissions: 'yo-permissions',
+        serviceDiscovery: 'yo-discovery'
+    },
+    PATTERNS: {
+        projectName: /^[A-Za-z][A-Za-z0-9-]*$/,
+        groupId: /^[a-z][a-z0-9_]*(\.[a-z][a-z0-9_]*)*$/,
+        entityName: /^[A-Z][A-Za-z0-9]*$/,
+        fieldName: /^[a-z][A-Za-z0-9]*$/,
+        fieldType: /^[A-Za-z][\w.]*(\[\])?$/
+    }
+};
+
+// ```water-mesh blocks: module descriptors drawn as a graph of modules and PINs (see service-mesh.md)
+const WATER_MESH_OPTIONS = {
+    EMBED_LANGUAGE: 'water-mesh',
+    DEBOUNCE_MS: 300,
+    // Aliases accepted by standardPin, as listed in the Standard PINs table
+    STANDARD_PINS: {
+        jdbc: 'it.water.data.persistence',
+        'service-discovery': 'it.water.service-discovery',
+        'authentication-issuer': 'it.water.integration.authentication-issuer',
+        'api-gateway': 'it.water.api-gateway',
+        'cluster-coordinator': 'it.water.cluster.coordinator'
+    },
+    EXAMPLES: [
+        {
+            label: 'Product Service',
+            descriptor: "waterDescriptor {\n    moduleId    = 'com.myapp.product'\n    displayName = 'Product Service'\n    output {\n        pin('com.myapp.integration.product') {}\n    }\n    input {\n        standardPin 'jdbc'\n        standardPin 'service-discovery'\n        pin('it.water.integration.permission') {}\n    }\n}"
+        },
+        {
+            label: 'ServiceDiscovery',
+            descriptor: "waterDescriptor {\n    moduleId    = 'it.water.service.discovery'\n    displayName = 'ServiceDiscovery'\n    output {\n        standardPin 'service-discovery'\n    }\n}"
+        },
+        {
+            label: 'ApiGateway',
+            descriptor: "waterDescriptor {\n    moduleId    = 'it.water.api.gateway'\n    displayName = 'ApiGateway'\n    output {\n        standardPin 'api-gateway'\n    }\n    input {\n        standardPin 'service-discovery'\n    }\n}"
+        },
+        {
+            label: 'Permission-integration',
+            descriptor: "waterDescriptor {\n    moduleId    = 'it.water.permission.integration'\n    displayName = 'Permission Service Integration Client'\n    output {\n        pin('it.water.integration.permission') {}\n    }\n    input {\n        standardPin 'service-discovery'\n    }\n}"
+        },
+        {
+            label: 'User-service-integration',
+            descriptor: "waterDescriptor {\n    moduleId    = 'it.water.user.integration'\n    displayName = 'User Service Integration Client'\n    output {\n        pin('it.water.integration.user') {}\n    }\n    input {\n        standardPin 'service-discovery'\n    }\n}"
+        },
+        {
+            label: 'SharedEntity-service-integration',
+            descriptor: "waterDescriptor {\n    moduleId    = 'it.water.shared.entity.integration'\n    displayName = 'SharedEntity Service Integration Client'\n    output {\n        pin('it.water.integration.shared-entity') {}\n    }\n    input {\n        standardPin 'service-discovery'\n    }\n}"
+        },
+        {
+            label: 'JDBC DataSource',
+            descriptor: "waterDescriptor {\n    moduleId    = 'com.myapp.datasource'\n    displayName = 'JDBC DataSource'\n    output {\n        standardPin 'jdbc'\n    }\n}"
+        }
+    ]
+};
+
+// News posts are markdown files in content/news with front matter (title, date, tags, featured, link),
+// listed in news.json. scripts/generate-feeds.js turns the same posts into rss.xml and atom.xml.
+const NEWS_OPTIONS = {
+    PAGE: 'news.html',
+    MANIFEST: 'content/news/news.json',
+    FOLDER: 'content/news',
+    PAGE_SIZE: 5,
+    TITLE_SUFFIX: ' - Water Framework News',
+    SUMMARY_LENGTH: 200,
+    FEEDS: [
+        { label: 'RSS', href: 'rss.xml', icon: 'fas fa-rss' },
+        { label: 'Atom', href: 'atom.xml', icon: 'fas fa-rss-square' }
+    ],
+    // Tags without an entry get the default icon
+    TAG_STYLES: {
+        'AI Integration': { icon: 'fas fa-robot', className: 'ai-tag' },
+        'Service Mesh': { icon: 'fas fa-network-wired' },
+        Releases: { icon: 'fas fa-rocket' }
+    },
+    DEFAULT_TAG_ICON: 'fas fa-tag'
+};
+
 // Utility functions
 const utils = {
     log: (message, data) => {
@@ -25,6 +312,10 @@ const utils = {
     error: (message, error) => {
         console.error(message, error);
     },
+
+    warn: (message, data) => {
+        console.warn(message, data || '');
+    },
     
     getElement: (selector) => document.querySelector(selector),
     
@@ -41,21 +332,40 @@ const utils = {
         element.classList.toggle(className);
     },
 
+    escapeHtml: (text) => {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    },
+
+    escapeRegExp: (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'),
+
+    decodeFragment: (value) => {
+        try {
+            return decodeURIComponent(value);
+        } catch (error) {
+            return value;
+        }
+    },
+
+    // Local servers (or ?dev=1) enable extra checks meant for documentation authors
+    isDevMode: () => {
+        const devHosts = ['localhost', '127.0.0.1', '[::1]'];
+        return devHosts.includes(window.location.hostname) ||
+            window.location.protocol === 'file:' ||
+            new URLSearchParams(window.location.search).get('dev') === '1';
+    },
+
+    // ?preview=1 shows pages marked as draft in their front matter
+    isPreviewMode: () => new URLSearchParams(window.location.search).get('preview') === '1',
+
     // New utility function to get URL parameters
     getUrlParameter: (name) => {
         const urlParams = new URLSearchParams(window.location.search);
         return urlParams.get(name);
-    },
-
-    // New utility function to update URL without page reload
-    updateUrlParameter: (name, value) => {
-        const url = new URL(window.location);
-        if (value) {
-            url.searchParams.set(name, value);
-        } else {
-            url.searchParams.delete(name);
-        }
-        window.history.pushState({}, '', url);
     }
 };
 
@@ -64,6 +374,7 @@ class MobileManager {
     constructor() {
         this.initializeMobileMenu();
         this.initializeSidebarToggle();
+        this.initializePageTocToggle();
         this.initializeResizeHandler();
     }
 
@@ -112,7 +423,7 @@ class MobileManager {
                 e.stopPropagation();
                 
                 // Desktop behavior: collapse/expand sidebar
-                if (window.innerWidth > 768) {
+                if (window.innerWidth > BREAKPOINTS.MOBILE) {
                     utils.toggleClass(sidebar, 'collapsed');
                     utils.toggleClass(desktopToggle, CLASSES.ACTIVE);
                     
@@ -130,7 +441,7 @@ class MobileManager {
 
         // Close sidebar when clicking outside on mobile
         document.addEventListener('click', (e) => {
-            if (window.innerWidth <= 768 && 
+            if (window.innerWidth <= BREAKPOINTS.MOBILE && 
                 !e.target.closest(SELECTORS.SIDEBAR) && 
                 !e.target.closest('.mobile-toggle')) {
                 sidebar.classList.remove(CLASSES.ACTIVE);
@@ -139,12 +450,26 @@ class MobileManager {
         });
     }
 
+    initializePageTocToggle() {
+        const tocToggle = utils.getElement(SELECTORS.PAGE_TOC_TOGGLE);
+        const tocPanel = utils.getElement(SELECTORS.PAGE_TOC);
+        if (!tocToggle || !tocPanel) return;
+
+        // Below the wide breakpoint the "On this page" panel is collapsed above the content
+        tocToggle.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            utils.toggleClass(tocPanel, CLASSES.ACTIVE);
+            tocToggle.setAttribute('aria-expanded', tocPanel.classList.contains(CLASSES.ACTIVE));
+        });
+    }
+
     initializeResizeHandler() {
         let resizeTimer;
         window.addEventListener('resize', () => {
             clearTimeout(resizeTimer);
             resizeTimer = setTimeout(() => {
-                if (window.innerWidth > 768) {
+                if (window.innerWidth > BREAKPOINTS.MOBILE) {
                     // Reset mobile states when switching to desktop
                     utils.getElement(SELECTORS.NAV_LINKS).classList.remove(CLASSES.ACTIVE);
                     utils.getElement(SELECTORS.MOBILE_MENU_TOGGLE).classList.remove(CLASSES.ACTIVE);
@@ -162,656 +487,4486 @@ class MobileManager {
                     if (desktopToggle) desktopToggle.classList.remove(CLASSES.ACTIVE);
                     if (docsContent) docsContent.classList.remove('expanded');
                 }
+
+                if (window.innerWidth >= BREAKPOINTS.WIDE) {
+                    // The "On this page" panel is always expanded in the right-hand column
+                    const tocPanel = utils.getElement(SELECTORS.PAGE_TOC);
+                    const tocToggle = utils.getElement(SELECTORS.PAGE_TOC_TOGGLE);
+                    if (tocPanel) tocPanel.classList.remove(CLASSES.ACTIVE);
+                    if (tocToggle) tocToggle.setAttribute('aria-expanded', 'false');
+                }
             }, 250);
         });
     }
 }
 
-// Menu Manager class to handle all menu-related functionality
-class MenuManager {
-    constructor() {
-        this.initializeEventListeners();
-        this.initializeDefaultSection();
-    }
+// Theme Manager: light/dark theme from an explicit choice in localStorage, or the system preference
+class ThemeManager {
+    static systemQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
 
-    initializeDefaultSection() {
-        // Check for page parameter first
-        const pageParam = utils.getUrlParameter('page');
-        
-        if (pageParam) {
-            this.loadSectionByPageParam(pageParam);
-        } else {
-            // Find and highlight the Introduction section by default
-            const introductionLink = utils.getElement('a[href="#introduction"]');
-            if (introductionLink) {
-                this.selectMenuItemAndLoadContent(introductionLink);
-            } else {
-                // Fallback: if no introduction link found, try to load the first available section
-                const firstSectionLink = utils.getElement('a[data-md]');
-                if (firstSectionLink) {
-                    this.selectMenuItemAndLoadContent(firstSectionLink);
+    static initialize() {
+        this.apply(this.getTheme());
+
+        utils.getElements(SELECTORS.THEME_TOGGLE).forEach(toggle => {
+            toggle.addEventListener('click', () => {
+                this.setTheme(this.getTheme() === 'dark' ? 'light' : 'dark');
+            });
+        });
+
+        // Without an explicit choice the site follows the system as it changes
+        if (this.systemQuery) {
+            this.systemQuery.addEventListener('change', () => {
+                if (!this.getStoredTheme()) {
+                    this.apply(this.getSystemTheme());
                 }
-            }
+            });
         }
-    }
 
-    loadSectionByPageParam(pageParam) {
-        utils.log('Loading section by page parameter:', pageParam);
-        
-        // Find the menu item that matches the page parameter
-        const targetLink = utils.getElement(`a[href="#${pageParam}"]`);
-        
-        if (targetLink) {
-            utils.log('Found target link:', targetLink.textContent);
-            this.selectMenuItemAndLoadContent(targetLink);
-        } else {
-            utils.log('Page parameter not found:', pageParam);
-            // Try to find a similar link or fallback to default behavior
-            const fallbackLink = this.findFallbackLink(pageParam);
-            if (fallbackLink) {
-                utils.log('Using fallback link:', fallbackLink.textContent);
-                this.selectMenuItemAndLoadContent(fallbackLink);
-            } else {
-                // Fallback to default behavior
-                this.initializeDefaultSection();
+        // Keep other open tabs in sync
+        window.addEventListener('storage', (e) => {
+            if (e.key === THEME_OPTIONS.STORAGE_KEY) {
+                this.apply(this.getTheme());
             }
-        }
+        });
     }
 
-    findFallbackLink(pageParam) {
-        // Try to find a link that contains the page parameter in its href
-        const allLinks = utils.getElements('a[href*="#"]');
-        for (const link of allLinks) {
-            const href = link.getAttribute('href');
-            if (href.includes(pageParam) || href.toLowerCase().includes(pageParam.toLowerCase())) {
-                return link;
-            }
-        }
-        return null;
+    static getTheme() {
+        return this.getStoredTheme() || this.getSystemTheme();
     }
 
-    // Unified function to handle menu selection and content loading
-    selectMenuItemAndLoadContent(link) {
-        utils.log('=== selectMenuItemAndLoadContent START ===');
-        utils.log('Selecting menu item:', link.textContent);
-        utils.log('Link href:', link.getAttribute('href'));
-        utils.log('Link element:', link);
-        utils.log('Link parent:', link.parentElement);
-        utils.log('Link is submenu item:', !!link.closest('.sub-menu'));
-        
-        // Activate the menu item (this handles menu highlighting and submenu opening)
-        this.activateMenuItem(link);
-        
-        // Load content based on the link type
-        if (link.hasAttribute('data-md')) {
-            const dataMd = link.getAttribute('data-md');
-            utils.log('Loading local content:', dataMd);
-            ContentLoader.loadLocalContent(dataMd);
-        } else if (link.hasAttribute('remote-md')) {
-            const remoteMd = link.getAttribute('remote-md');
-            utils.log('Loading remote content:', remoteMd);
-            ContentLoader.loadRemoteContent(link);
-        } else {
-            // If no content attribute, check if it's a section with submenu
-            const parentLi = link.parentElement;
-            const submenu = parentLi.querySelector('.sub-menu');
-            if (submenu) {
-                utils.log('No content attributes found, but section has submenu - generating overview');
-                this.generateSectionOverview(link, submenu);
-            } else {
-                utils.log('No content found for link, showing under construction');
-                const docsContent = utils.getElement(SELECTORS.DOCS_CONTENT);
-                docsContent.innerHTML = ContentLoader.createUnderConstructionContent();
-            }
+    static getStoredTheme() {
+        try {
+            const theme = localStorage.getItem(THEME_OPTIONS.STORAGE_KEY);
+            return theme === 'light' || theme === 'dark' ? theme : null;
+        } catch (error) {
+            return null;
         }
-        
-        // Scroll to top
-        window.scrollTo(0, 0);
-        
-        utils.log('=== selectMenuItemAndLoadContent END ===');
     }
 
-    activateMenuItem(link) {
-        utils.log('=== activateMenuItem START ===');
-        utils.log('Activating menu item:', link.textContent);
-        utils.log('Link href:', link.getAttribute('href'));
-        
-        // Remove active class from all menu items
-        const menuItems = utils.getElements(SELECTORS.MENU_ITEMS);
-        const submenuItems = utils.getElements(SELECTORS.SUBMENU_ITEMS);
-        
-        utils.log('Removing active class from menu items:', menuItems.length);
-        utils.log('Removing active class from submenu items:', submenuItems.length);
-        
-        menuItems.forEach(item => {
-            item.classList.remove(CLASSES.ACTIVE);
-        });
-        submenuItems.forEach(item => {
-            item.classList.remove(CLASSES.ACTIVE);
-        });
-        
-        // Add active class to target link
-        utils.log('Adding active class to target link:', link.textContent);
-        link.classList.add(CLASSES.ACTIVE);
-        utils.log('Target link classes after adding active:', link.classList.toString());
-        
-        // Open parent submenu if it's a submenu item
-        const submenu = link.closest('.sub-menu');
-        if (submenu) {
-            utils.log('Link is in submenu, opening parent submenu');
-            const parentLi = submenu.parentElement;
-            parentLi.classList.add(CLASSES.SHOW_SUBMENU);
-            utils.log('Parent li classes after adding show-submenu:', parentLi.classList.toString());
-            
-            // Also highlight the parent section menu item
-            const parentLink = parentLi.children[0]; // Get the first child (should be the anchor)
-            if (parentLink && parentLink.tagName === 'A') {
-                utils.log('Highlighting parent section menu item:', parentLink.textContent);
-                parentLink.classList.add(CLASSES.ACTIVE);
-                utils.log('Parent link classes after adding active:', parentLink.classList.toString());
-            } else {
-                utils.log('Parent link not found or not an anchor');
-            }
-        } else {
-            utils.log('Link is not in submenu');
-        }
-        
-        // Update URL parameter
-        const sectionId = link.getAttribute('href').substring(1); // Remove the #
-        utils.log('Updating URL parameter with sectionId:', sectionId);
-        utils.updateUrlParameter('page', sectionId);
-        
-        utils.log('=== activateMenuItem END ===');
+    static getSystemTheme() {
+        return this.systemQuery && this.systemQuery.matches ? 'dark' : 'light';
     }
 
-    initializeEventListeners() {
-        // Add a small delay to ensure DOM is fully ready
-        setTimeout(() => {
-            this.initializeSubmenuItems();
-            this.initializeTopMenuItems();
-            this.initializeDocumentClick();
-        }, 100);
+    static setTheme(theme) {
+        try {
+            localStorage.setItem(THEME_OPTIONS.STORAGE_KEY, theme);
+        } catch (error) {
+            utils.log('Could not save theme preference:', error.message);
+        }
+        this.apply(theme);
     }
 
-    initializeSubmenuItems() {
-        const subMenuLinks = utils.getElements(SELECTORS.SUBMENU_ITEMS);
-        utils.log('Found submenu links:', subMenuLinks.length);
-        
-        // Log all found submenu links for debugging
-        subMenuLinks.forEach((link, index) => {
-            utils.log(`Submenu link ${index + 1}:`, {
-                text: link.textContent.trim(),
-                href: link.getAttribute('href'),
-                hasDataMd: link.hasAttribute('data-md'),
-                hasRemoteMd: link.hasAttribute('remote-md'),
-                dataMd: link.getAttribute('data-md'),
-                remoteMd: link.getAttribute('remote-md')
-            });
+    static apply(theme) {
+        utils.log('Applying theme:', theme);
+        document.documentElement.setAttribute('data-theme', theme);
+
+        const themeColor = utils.getElement(SELECTORS.THEME_COLOR);
+        if (themeColor) {
+            themeColor.setAttribute('content', THEME_OPTIONS.THEME_COLORS[theme]);
+        }
+        this.applyCodeTheme(theme);
+
+        const nextTheme = theme === 'dark' ? 'light' : 'dark';
+        utils.getElements(SELECTORS.THEME_TOGGLE).forEach(toggle => {
+            toggle.setAttribute('aria-label', `Switch to ${nextTheme} theme`);
+            toggle.setAttribute('title', `Switch to ${nextTheme} theme`);
+            toggle.innerHTML = `<i class="fas ${theme === 'dark' ? 'fa-sun' : 'fa-moon'}" aria-hidden="true"></i>`;
         });
+    }
 
-        subMenuLinks.forEach(link => {
-            this.setupSubmenuItem(link);
+    // highlight.js themes are alternative stylesheets; only the one matching the theme stays enabled
+    static applyCodeTheme(theme = document.documentElement.getAttribute('data-theme') || this.getTheme()) {
+        utils.getElements(SELECTORS.CODE_THEMES).forEach(link => {
+            link.disabled = link.getAttribute('data-code-theme') !== theme;
         });
     }
+}
 
-    setupSubmenuItem(link) {
-        utils.log('Adding click handler to:', link.textContent);
-        
-        // Remove any existing click handlers by cloning
-        const newLink = link.cloneNode(true);
-        link.parentNode.replaceChild(newLink, link);
-        
-        // Add the click handler to the new link
-        newLink.addEventListener('click', (e) => this.handleSubmenuItemClick(e, newLink));
-        
-        utils.log('Click handler added successfully to:', newLink.textContent);
+// Router class to keep the URL (?page=<id>#<heading>) in sync with the displayed page
+class Router {
+    constructor(menuManager) {
+        this.menuManager = menuManager;
+        this.currentPage = null;
+        this.historyMode = 'push';
+        this.pendingHeading = null;
+
+        // Static pages (see scripts/prerender.js) have no ?page= parameter and hydrate into the SPA
+        const docsContent = utils.getElement(SELECTORS.DOCS_CONTENT);
+        this.prerenderedPage = docsContent ? docsContent.getAttribute(PRERENDERED_PAGE_ATTRIBUTE) : null;
+
+        // Scroll positions are restored by the router once the page content has been loaded
+        if ('scrollRestoration' in window.history) {
+            window.history.scrollRestoration = 'manual';
+        }
+
+        window.addEventListener('popstate', (e) => this.handlePopState(e));
+
+        if (docsContent) {
+            docsContent.addEventListener('click', (e) => this.handleContentLinkClick(e));
+        }
     }
 
-    handleSubmenuItemClick(e, link) {
-        e.preventDefault();
-        e.stopPropagation();
-        
-        utils.log('=== handleSubmenuItemClick START ===');
-        utils.log('Direct click on:', link.textContent);
-        utils.log('Link href:', link.getAttribute('href'));
-        utils.log('Remote MD:', link.getAttribute('remote-md'));
-        utils.log('Data MD:', link.getAttribute('data-md'));
-        utils.log('Link element:', link);
-        
-        // Use the unified function to handle menu selection and content loading
-        this.selectMenuItemAndLoadContent(link);
-        
-        utils.log('=== handleSubmenuItemClick END ===');
+    static getSidebarLinks() {
+        return Array.from(utils.getElements(SELECTORS.SIDEBAR_LINKS));
     }
 
-    initializeTopMenuItems() {
-        const topMenuLinks = utils.getElements(SELECTORS.MENU_ITEMS);
-        utils.log('Found top menu links:', topMenuLinks.length);
-        
-        topMenuLinks.forEach(link => {
-            this.setupTopMenuItem(link);
-        });
+    static getPageId(link) {
+        return link.getAttribute('href').substring(1); // Remove the #
     }
 
-    setupTopMenuItem(link) {
-        utils.log('Adding click handler to top menu:', link.textContent);
-        
-        link.addEventListener('click', (e) => this.handleTopMenuItemClick(e, link));
+    // Relative link to a page that stays on the documentation version being read
+    static pageHref(pageId, headingId = null) {
+        const params = new URLSearchParams({ page: pageId });
+        const version = utils.getUrlParameter('version');
+        if (version) {
+            params.set('version', version);
+        }
+        return `?${params}${headingId ? '#' + encodeURIComponent(headingId) : ''}`;
     }
 
-    handleTopMenuItemClick(e, link) {
+    reportDuplicateRoutes() {
+        const seen = new Set();
+        Router.getSidebarLinks().forEach(link => {
+            const pageId = Router.getPageId(link);
+            if (seen.has(pageId)) {
+                utils.error('Duplicate sidebar page id, only the first entry is reachable by URL:', pageId);
+            }
+            seen.add(pageId);
+        });
+    }
+
+    readLocation() {
+        const heading = utils.decodeFragment(window.location.hash.substring(1));
+        return {
+            page: utils.getUrlParameter('page') || this.prerenderedPage,
+            heading: heading || null
+        };
+    }
+
+    resolve(pageId) {
+        if (!pageId) return null;
+        const links = Router.getSidebarLinks();
+
+        // Exact match first, then fall back to a sidebar entry containing the page id
+        const exactLink = links.find(link => Router.getPageId(link) === pageId);
+        if (exactLink) return exactLink;
+
+        const lowerPageId = pageId.toLowerCase();
+        const fallbackLink = links.find(link => Router.getPageId(link).toLowerCase().includes(lowerPageId));
+        if (fallbackLink) {
+            utils.log('Using fallback link:', fallbackLink.textContent);
+        }
+        return fallbackLink || null;
+    }
+
+    async navigate(link, { heading = null, mode = 'push', scrollY = null } = {}) {
+        this.historyMode = mode;
+        this.pendingHeading = heading;
+        const contentLoaded = this.menuManager.selectMenuItemAndLoadContent(link);
+        const loadId = ContentLoader.loadCount;
+        await contentLoaded;
+        // The reader has opened another page in the meantime; that navigation scrolls its own page
+        if (!ContentLoader.isCurrentLoad(loadId)) return;
+
+        if (scrollY !== null) {
+            window.scrollTo(0, scrollY);
+        } else if (heading) {
+            ContentLoader.scrollToHeading(heading, false);
+        }
+    }
+
+    // Called by MenuManager whenever a sidebar entry becomes the current page
+    recordNavigation(link) {
+        const pageId = Router.getPageId(link);
+        const mode = this.historyMode;
+        const heading = this.pendingHeading;
+        this.historyMode = 'push';
+        this.pendingHeading = null;
+        this.currentPage = pageId;
+
+        if (mode === 'none') return;
+
+        const url = new URL(window.location);
+        if (this.prerenderedPage && url.pathname.endsWith(`/${encodeURIComponent(pageId)}.html`)) {
+            // Still on the static page: keep its URL, the canonical one readers should share
+            url.searchParams.delete('page');
+        } else {
+            if (this.prerenderedPage) {
+                // From a static page, continue on the documentation shell so ?page= links keep working
+                url.pathname = url.pathname.replace(/[^/]*$/, DOCS_SHELL);
+            }
+            url.searchParams.set('page', pageId);
+        }
+        url.hash = heading ? encodeURIComponent(heading) : '';
+        const state = { page: pageId, heading, scrollY: null };
+
+        if (mode === 'replace') {
+            window.history.replaceState(state, '', url);
+        } else if (url.href !== window.location.href) {
+            // Remember where the reader was so Back can return to the same spot
+            window.history.replaceState({ ...window.history.state, scrollY: window.scrollY }, '');
+            window.history.pushState(state, '', url);
+        }
+    }
+
+    // Keep the heading fragment in sync without adding history entries while reading a page
+    updateHeading(headingId) {
+        const url = new URL(window.location);
+        url.hash = headingId ? encodeURIComponent(headingId) : '';
+        window.history.replaceState({ ...window.history.state, heading: headingId }, '', url);
+    }
+
+    // Links rewritten by ContentLoader.rewriteLinks navigate inside the docs
+    handleContentLinkClick(e) {
+        const link = e.target.closest('a[data-doc-link]');
+        if (!link || e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) {
+            return;
+        }
+
         e.preventDefault();
-        e.stopPropagation();
+        const heading = link.getAttribute('data-doc-heading');
+
+        if (link.getAttribute('data-doc-link') === 'anchor') {
+            ContentLoader.scrollToHeading(heading);
+            this.updateHeading(heading);
+            return;
+        }
+
+        const targetLink = this.resolve(link.getAttribute('data-doc-page'));
+        if (targetLink) {
+            this.navigate(targetLink, { heading });
+        }
+    }
+
+    handlePopState(e) {
+        const { page, heading } = this.readLocation();
+        const state = e.state || {};
+        utils.log('Restoring history entry:', { page, heading, scrollY: state.scrollY });
+
+        if (page === this.currentPage || (!page && !this.currentPage)) {
+            // Same page, only the fragment or scroll position changed
+            if (typeof state.scrollY === 'number') {
+                window.scrollTo(0, state.scrollY);
+            } else if (heading) {
+                ContentLoader.scrollToHeading(heading);
+            }
+            return;
+        }
+
+        const link = this.resolve(page) || this.resolve('introduction');
+        if (link) {
+            this.navigate(link, {
+                heading,
+                mode: 'none',
+                scrollY: typeof state.scrollY === 'number' ? state.scrollY : null
+            });
+        }
+    }
+}
+
+// Version Manager: content/versions.json lists the documentation versions, each with its own
+// content folder and the git ref module READMEs are read from. ?version=<id> selects one.
+class VersionManager {
+    static DEFAULT_REF = 'refs/heads/main';
+    static versions = [];
+    static defaultVersion = null;
+    static current = null;
+    static unpinnedUrls = new Map();
+
+    static async load() {
+        const response = await fetch(VERSIONS_MANIFEST);
+        if (!response.ok) {
+            const error = new Error(`Failed to load versions: ${response.status} ${response.statusText}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        const manifest = await response.json();
+        this.versions = manifest.versions;
+        this.defaultVersion = this.find(manifest.default) || this.versions[0];
+
+        const requested = utils.getUrlParameter('version');
+        this.current = this.find(requested) || this.defaultVersion;
+        if (requested && this.current.id !== requested) {
+            utils.log('Unknown documentation version, showing default:', requested);
+        }
+        utils.log('Documentation version:', this.current.id);
+    }
+
+    static find(versionId) {
+        return this.versions.find(version => version.id === versionId) || null;
+    }
+
+    static contentPath(file, version = this.current) {
+        return `content/${version.path}/${file}`;
+    }
+
+    static pinRemoteUrl(url, version = this.current) {
+        if (!version.ref || version.ref === this.DEFAULT_REF) return url;
+        const pinnedUrl = url.replace(`/${this.DEFAULT_REF}/`, `/${version.ref}/`);
+        if (pinnedUrl !== url) {
+            this.unpinnedUrls.set(pinnedUrl, url);
+        }
+        return pinnedUrl;
+    }
+
+    // refs/tags/3.0.0 -> 3.0.0
+    static shortRef(ref) {
+        return ref.replace(/^refs\/(heads|tags)\//, '');
+    }
+
+    static getUnpinnedUrl(url) {
+        return this.unpinnedUrls.get(url) || null;
+    }
+
+    // Older = listed after the default version; versions.json is ordered newest first
+    static isOlder(version) {
+        return this.versions.indexOf(version) > this.versions.indexOf(this.defaultVersion);
+    }
+
+    static initializeSwitcher(getCurrentPage) {
+        const switcher = utils.getElement(SELECTORS.VERSION_SWITCHER);
+        const select = utils.getElement(SELECTORS.VERSION_SELECT);
+        if (switcher && select && this.versions.length > 1) {
+            select.innerHTML = '';
+            this.versions.forEach(version => {
+                const option = document.createElement('option');
+                option.value = version.id;
+                option.textContent = version === this.defaultVersion
+                    ? `${version.label} (latest)`
+                    : version.label;
+                option.selected = version === this.current;
+                select.appendChild(option);
+            });
+            select.addEventListener('change', () => this.switchTo(this.find(select.value), getCurrentPage()));
+            switcher.hidden = false;
+        }
+
+        this.showVersionBanner(getCurrentPage);
+    }
+
+    // Static pages (<page-id>.html) have no ?page= parameter, so the page comes from the router
+    static showVersionBanner(getCurrentPage) {
+        const banner = utils.getElement(SELECTORS.VERSION_BANNER);
+        if (!banner) return;
+
+        let message = null;
+        if (this.current.prerelease) {
+            message = `You are viewing documentation for an unreleased version (${utils.escapeHtml(this.current.label)}).`;
+        } else if (this.isOlder(this.current)) {
+            message = `You are viewing documentation for an older version (${utils.escapeHtml(this.current.label)}).`;
+        }
+        if (!message) {
+            banner.hidden = true;
+            return;
+        }
+
+        banner.innerHTML = `
+            <i class="fas fa-exclamation-circle"></i>
+            <span>${message}</span>
+            <a href="#" class="docs-version-banner-link">Go to the latest version (${utils.escapeHtml(this.defaultVersion.label)})</a>
+        `;
+        banner.querySelector('.docs-version-banner-link').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.switchTo(this.defaultVersion, getCurrentPage());
+        });
+        banner.hidden = false;
+    }
+
+    // Reload on the other version, staying on the same page when it exists there
+    static async switchTo(version, pageId) {
+        if (!version) return;
+        const url = new URL(window.location);
+        if (version === this.defaultVersion) {
+            url.searchParams.delete('version');
+        } else {
+            url.searchParams.set('version', version.id);
+        }
+
+        let pageExists = false;
+        if (pageId) {
+            try {
+                const navigation = await MenuManager.loadNavigation(version);
+                pageExists = navigation.sections.some(section =>
+                    section.id === pageId || (section.pages || []).some(page => page.id === pageId));
+            } catch (error) {
+                utils.error('Error loading navigation for version:', error);
+            }
+        }
+        if (!pageExists) {
+            url.searchParams.delete('page');
+            url.hash = '';
+        }
+
+        utils.log('Switching documentation version:', version.id);
+        window.location.assign(url);
+    }
+}
+
+// Menu Manager class to handle all menu-related functionality
+class MenuManager {
+    constructor() {
+        this.router = new Router(this);
+        this.navigation = { sections: [] };
+        this.ready = this.initialize();
+    }
+
+    async initialize() {
+        try {
+            await VersionManager.load();
+            this.navigation = await MenuManager.loadNavigation(VersionManager.current);
+        } catch (error) {
+            ContentLoader.handleError(error, NAVIGATION_MANIFEST, {
+                retry: () => window.location.reload()
+            });
+            return;
+        }
+
+        VersionManager.initializeSwitcher(() => this.router.currentPage);
+
+        MenuManager.renderSidebar(this.navigation);
+        this.router.reportDuplicateRoutes();
+        this.initializeEventListeners();
+        this.initializeDefaultSection();
+
+        if (utils.isDevMode()) {
+            this.reportBrokenSidebarEntries();
+        }
+    }
+
+    // The navigation manifest is the single source for the sidebar, section overviews and descriptions
+    static async loadNavigation(version) {
+        const response = await fetch(VersionManager.contentPath(NAVIGATION_MANIFEST, version));
+        if (!response.ok) {
+            const error = new Error(`Failed to load navigation: ${response.status} ${response.statusText}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        // Module READMEs are read from the git ref matching the documentation version
+        const navigation = await response.json();
+        navigation.sections.forEach(section => {
+            [section, ...(section.pages || [])].forEach(entry => {
+                if (entry.remoteMd) {
+                    entry.remoteMd = VersionManager.pinRemoteUrl(entry.remoteMd, version);
+                }
+            });
+        });
+        return navigation;
+    }
+
+    static renderSidebar(navigation) {
+        const sidebarNav = utils.getElement(SELECTORS.SIDEBAR_NAV);
+        const menu = document.createElement('ul');
+
+        navigation.sections.forEach(section => {
+            const item = document.createElement('li');
+            item.appendChild(MenuManager.createMenuLink(section));
+
+            if (section.pages && section.pages.length > 0) {
+                const subMenu = utils.createElement('ul', 'sub-menu');
+                section.pages.forEach(page => {
+                    const subItem = document.createElement('li');
+                    subItem.appendChild(MenuManager.createMenuLink(page));
+                    subMenu.appendChild(subItem);
+                });
+                item.appendChild(subMenu);
+            }
+            menu.appendChild(item);
+        });
+
+        sidebarNav.innerHTML = '';
+        sidebarNav.appendChild(menu);
+        utils.log('Sidebar rendered from navigation manifest, sections:', navigation.sections.length);
+    }
+
+    static createMenuLink(entry) {
+        const link = document.createElement('a');
+        link.setAttribute('href', `#${entry.id}`);
+        if (entry.md) link.setAttribute('data-md', entry.md);
+        if (entry.remoteMd) link.setAttribute('remote-md', entry.remoteMd);
+
+        if (entry.icon) {
+            link.appendChild(utils.createElement('i', `${entry.icon} sidebar-icon`));
+            link.appendChild(document.createTextNode(' '));
+        }
+        link.appendChild(document.createTextNode(entry.title));
+        return link;
+    }
+
+    getNavigationEntry(pageId) {
+        for (const section of this.navigation.sections) {
+            if (section.id === pageId) return section;
+            const page = (section.pages || []).find(entry => entry.id === pageId);
+            if (page) return page;
+        }
+        return null;
+    }
+
+    // Every page with content, in sidebar order
+    getPages() {
+        return this.navigation.sections.flatMap(section => [section, ...(section.pages || [])])
+            .filter(entry => entry.md || entry.remoteMd);
+    }
+
+    // Development aid: list sidebar entries whose markdown file is missing from the version's content folder
+    async reportBrokenSidebarEntries() {
+        const files = new Map();
+        Router.getSidebarLinks()
+            .filter(link => link.hasAttribute('data-md'))
+            .forEach(link => files.set(link.getAttribute('data-md'), link.textContent.trim()));
+
+        const checks = await Promise.all(Array.from(files, async ([file, title]) => {
+            try {
+                const response = await fetch(VersionManager.contentPath(file), { method: 'HEAD' });
+                return response.ok ? null : { file, title, status: response.status };
+            } catch (error) {
+                return { file, title, status: error.message };
+            }
+        }));
+        const brokenEntries = checks.filter(Boolean);
+        if (brokenEntries.length === 0) return;
+
+        utils.warn(`[dev] ${brokenEntries.length} sidebar entries point to missing markdown files:`, brokenEntries);
+
+        const sidebar = utils.getElement(SELECTORS.SIDEBAR);
+        const warning = utils.createElement('div', 'dev-warning');
+        warning.innerHTML = `
+            <strong><i class="fas fa-exclamation-triangle"></i> Dev mode: broken sidebar entries</strong>
+            <ul>${brokenEntries.map(entry => `<li>${utils.escapeHtml(entry.title)} → <code>${utils.escapeHtml(VersionManager.contentPath(entry.file))}</code> (${utils.escapeHtml(entry.status)})</li>`).join('')}</ul>
+        `;
+        sidebar.insertBefore(warning, sidebar.firstChild);
+    }
+
+    initializeDefaultSection() {
+        // Check for page parameter (and heading fragment) first
+        const { page, heading } = this.router.readLocation();
+        const targetLink = this.router.resolve(page);
         
-        utils.log('Top menu click on:', link.textContent);
+        if (targetLink) {
+            utils.log('Found target link:', targetLink.textContent);
+            this.router.navigate(targetLink, { heading, mode: 'replace' });
+            return;
+        }
+        if (page) {
+            utils.log('Page parameter not found:', page);
+        }
         
-        // Check if this is a section with submenu
-        const parentLi = link.parentElement;
-        const submenu = parentLi.querySelector('.sub-menu');
+        // Find and highlight the Introduction section by default
+        const introductionLink = this.router.resolve('introduction');
+        if (introductionLink) {
+            this.router.navigate(introductionLink, { mode: 'replace' });
+        } else {
+            // Fallback: if no introduction link found, try to load the first available section
+            const firstSectionLink = utils.getElement('.docs-sidebar a[data-md]');
+            if (firstSectionLink) {
+                this.router.navigate(firstSectionLink, { mode: 'replace' });
+            }
+        }
+    }
+
+    // Unified function to handle menu selection and content loading
+    selectMenuItemAndLoadContent(link) {
+        utils.log('=== selectMenuItemAndLoadContent START ===');
+        utils.log('Selecting menu item:', link.textContent);
+        utils.log('Link href:', link.getAttribute('href'));
+        utils.log('Link element:', link);
+        utils.log('Link parent:', link.parentElement);
+        utils.log('Link is submenu item:', !!link.closest('.sub-menu'));
+        
+        // Activate the menu item (this handles menu highlighting and submenu opening)
+        this.activateMenuItem(link);
+
+        // Title, description and canonical URL follow the page; its front matter refines them once loaded
+        const pageId = Router.getPageId(link);
+        const entry = this.getNavigationEntry(pageId) || { title: link.textContent.trim() };
+        ContentLoader.currentPage = { id: pageId, title: entry.title, description: entry.description || null };
+        ContentLoader.updatePageMeta({}, null);
+        
+        // Load content based on the link type
+        let contentLoaded = Promise.resolve();
+        if (link.hasAttribute('data-md')) {
+            const dataMd = link.getAttribute('data-md');
+            utils.log('Loading local content:', dataMd);
+            contentLoaded = ContentLoader.loadLocalContent(dataMd);
+        } else if (link.hasAttribute('remote-md')) {
+            const remoteMd = link.getAttribute('remote-md');
+            utils.log('Loading remote content:', remoteMd);
+            contentLoaded = ContentLoader.loadRemoteContent(link);
+        } else {
+            // If no content attribute, check if it's a section with submenu
+            const parentLi = link.parentElement;
+            const submenu = parentLi.querySelector('.sub-menu');
+            if (submenu) {
+                utils.log('No content attributes found, but section has submenu - generating overview');
+                this.generateSectionOverview(link);
+            } else {
+                utils.log('No content found for link, showing under construction');
+                // Nothing to fetch, but a page still loading must not replace this one
+                ContentLoader.startLoad();
+                const docsContent = utils.getElement(SELECTORS.DOCS_CONTENT);
+                docsContent.innerHTML = ContentLoader.createUnderConstructionContent();
+            }
+        }
+        
+        // Scroll to top
+        window.scrollTo(0, 0);
+        
+        utils.log('=== selectMenuItemAndLoadContent END ===');
+        return contentLoaded;
+    }
+
+    activateMenuItem(link) {
+        utils.log('=== activateMenuItem START ===');
+        utils.log('Activating menu item:', link.textContent);
+        utils.log('Link href:', link.getAttribute('href'));
+        
+        // Remove active class from all menu items
+        const menuItems = utils.getElements(SELECTORS.MENU_ITEMS);
+        const submenuItems = utils.getElements(SELECTORS.SUBMENU_ITEMS);
+        
+        utils.log('Removing active class from menu items:', menuItems.length);
+        utils.log('Removing active class from submenu items:', submenuItems.length);
+        
+        menuItems.forEach(item => {
+            item.classList.remove(CLASSES.ACTIVE);
+        });
+        submenuItems.forEach(item => {
+            item.classList.remove(CLASSES.ACTIVE);
+        });
+        
+        // Add active class to target link
+        utils.log('Adding active class to target link:', link.textContent);
+        link.classList.add(CLASSES.ACTIVE);
+        utils.log('Target link classes after adding active:', link.classList.toString());
         
+        // Open parent submenu if it's a submenu item
+        const submenu = link.closest('.sub-menu');
         if (submenu) {
-            // This is a section with submenu - activate the parent section and show overview
-            utils.log('Section has submenu, activating parent and showing overview');
-            this.activateMenuItem(link);
-            this.handleSubmenuVisibility(link);
+            utils.log('Link is in submenu, opening parent submenu');
+            const parentLi = submenu.parentElement;
+            parentLi.classList.add(CLASSES.SHOW_SUBMENU);
+            utils.log('Parent li classes after adding show-submenu:', parentLi.classList.toString());
             
-            // Generate and display section overview in main content area
-            this.generateSectionOverview(link, submenu);
+            // Also highlight the parent section menu item
+            const parentLink = parentLi.children[0]; // Get the first child (should be the anchor)
+            if (parentLink && parentLink.tagName === 'A') {
+                utils.log('Highlighting parent section menu item:', parentLink.textContent);
+                parentLink.classList.add(CLASSES.ACTIVE);
+                utils.log('Parent link classes after adding active:', parentLink.classList.toString());
+            } else {
+                utils.log('Parent link not found or not an anchor');
+            }
         } else {
-            // This is a direct link - activate it and load content
-            utils.log('Direct link, loading content');
-            this.selectMenuItemAndLoadContent(link);
+            utils.log('Link is not in submenu');
+        }
+        
+        // Update URL parameter
+        utils.log('Updating URL parameter with sectionId:', Router.getPageId(link));
+        this.router.recordNavigation(link);
+        
+        utils.log('=== activateMenuItem END ===');
+    }
+
+    initializeEventListeners() {
+        // The sidebar has already been rendered from the navigation manifest
+        this.initializeSubmenuItems();
+        this.initializeTopMenuItems();
+        this.initializeDocumentClick();
+    }
+
+    initializeSubmenuItems() {
+        const subMenuLinks = utils.getElements(SELECTORS.SUBMENU_ITEMS);
+        utils.log('Found submenu links:', subMenuLinks.length);
+        
+        // Log all found submenu links for debugging
+        subMenuLinks.forEach((link, index) => {
+            utils.log(`Submenu link ${index + 1}:`, {
+                text: link.textContent.trim(),
+                href: link.getAttribute('href'),
+                hasDataMd: link.hasAttribute('data-md'),
+                hasRemoteMd: link.hasAttribute('remote-md'),
+                dataMd: link.getAttribute('data-md'),
+                remoteMd: link.getAttribute('remote-md')
+            });
+        });
+
+        subMenuLinks.forEach(link => {
+            this.setupSubmenuItem(link);
+        });
+    }
+
+    setupSubmenuItem(link) {
+        utils.log('Adding click handler to:', link.textContent);
+        
+        // Remove any existing click handlers by cloning
+        const newLink = link.cloneNode(true);
+        link.parentNode.replaceChild(newLink, link);
+        
+        // Add the click handler to the new link
+        newLink.addEventListener('click', (e) => this.handleSubmenuItemClick(e, newLink));
+        
+        utils.log('Click handler added successfully to:', newLink.textContent);
+    }
+
+    handleSubmenuItemClick(e, link) {
+        e.preventDefault();
+        e.stopPropagation();
+        
+        utils.log('=== handleSubmenuItemClick START ===');
+        utils.log('Direct click on:', link.textContent);
+        utils.log('Link href:', link.getAttribute('href'));
+        utils.log('Remote MD:', link.getAttribute('remote-md'));
+        utils.log('Data MD:', link.getAttribute('data-md'));
+        utils.log('Link element:', link);
+        
+        // Use the unified function to handle menu selection and content loading
+        this.selectMenuItemAndLoadContent(link);
+        
+        utils.log('=== handleSubmenuItemClick END ===');
+    }
+
+    initializeTopMenuItems() {
+        const topMenuLinks = utils.getElements(SELECTORS.MENU_ITEMS);
+        utils.log('Found top menu links:', topMenuLinks.length);
+        
+        topMenuLinks.forEach(link => {
+            this.setupTopMenuItem(link);
+        });
+    }
+
+    setupTopMenuItem(link) {
+        utils.log('Adding click handler to top menu:', link.textContent);
+        
+        link.addEventListener('click', (e) => this.handleTopMenuItemClick(e, link));
+    }
+
+    handleTopMenuItemClick(e, link) {
+        e.preventDefault();
+        e.stopPropagation();
+        
+        utils.log('Top menu click on:', link.textContent);
+        
+        // Check if this is a section with submenu
+        const parentLi = link.parentElement;
+        const submenu = parentLi.querySelector('.sub-menu');
+        
+        if (submenu) {
+            // This is a section with submenu - activate the parent section and show overview
+            utils.log('Section has submenu, activating parent and showing overview');
+            this.activateMenuItem(link);
+            this.handleSubmenuVisibility(link);
+            
+            // Generate and display section overview in main content area
+            this.generateSectionOverview(link);
+        } else {
+            // This is a direct link - activate it and load content
+            utils.log('Direct link, loading content');
+            this.selectMenuItemAndLoadContent(link);
+        }
+    }
+
+    generateSectionOverview(sectionLink) {
+        // Built from the navigation rather than fetched, so only a page still loading could replace it
+        ContentLoader.startLoad();
+        const sectionId = Router.getPageId(sectionLink);
+        const section = this.getNavigationEntry(sectionId) || { title: sectionLink.textContent.trim(), pages: [] };
+        
+        // Clean up any existing TOC content in the sidebar
+        this.cleanupSidebarTOC();
+        
+        // Create overview HTML
+        let overviewHTML = `
+            <div class="section-overview">
+                <h1>${utils.escapeHtml(section.title)}</h1>
+                <p class="section-description">${utils.escapeHtml(section.description || '')}</p>
+                
+                <div class="section-toc">
+                    <h2>📚 Table of Contents</h2>
+                    <div class="toc-grid">
+        `;
+        
+        // Add TOC items for each subsection
+        (section.pages || []).forEach((page, index) => {
+            overviewHTML += `
+                <div class="toc-item" data-href="#${utils.escapeHtml(page.id)}" data-remote="${utils.escapeHtml(page.remoteMd || '')}" data-md="${utils.escapeHtml(page.md || '')}">
+                    <div class="toc-number">${(index + 1).toString().padStart(2, '0')}</div>
+                    <div class="toc-content">
+                        <h3>${utils.escapeHtml(page.title)}</h3>
+                        <p>${utils.escapeHtml(page.description || '')}</p>
+                    </div>
+                    <div class="toc-arrow">
+                        <i class="fas fa-arrow-right"></i>
+                    </div>
+                </div>
+            `;
+        });
+        
+        overviewHTML += `
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        // Display in main content area
+        const docsContent = utils.getElement(SELECTORS.DOCS_CONTENT);
+        const contentWrapper = utils.createElement('div', 'markdown-content');
+        contentWrapper.innerHTML = overviewHTML;
+        docsContent.innerHTML = '';
+        docsContent.appendChild(contentWrapper);
+        ContentLoader.updatePageMeta({ title: section.title, description: section.description }, null);
+        
+        // Add click handlers to TOC items with a small delay to ensure DOM is ready
+        setTimeout(() => {
+            this.initializeTOCItemHandlers();
+        }, 50);
+    }
+
+    cleanupSidebarTOC() {
+        // Remove any existing TOC content from the sidebar
+        const existingTOC = utils.getElements('.section-toc');
+        existingTOC.forEach(toc => {
+            if (toc.closest('.docs-sidebar')) {
+                toc.remove();
+            }
+        });
+    }
+
+    generateSectionTOC(sectionLink, subMenu) {
+        // This method is now deprecated - use generateSectionOverview instead
+        // Keeping for backward compatibility but it should not be called
+        utils.log('generateSectionTOC is deprecated - use generateSectionOverview instead');
+    }
+
+    initializeTOCItemHandlers() {
+        const tocItems = utils.getElements('.toc-item');
+        utils.log('=== initializeTOCItemHandlers START ===');
+        utils.log('Found TOC items:', tocItems.length);
+        
+        tocItems.forEach((item, index) => {
+            utils.log(`TOC item ${index + 1}:`, {
+                text: item.querySelector('.toc-content h3')?.textContent,
+                href: item.getAttribute('data-href'),
+                remoteMd: item.getAttribute('data-remote'),
+                dataMd: item.getAttribute('data-md')
+            });
+            
+            item.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                
+                utils.log('=== TOC Item Click START ===');
+                utils.log('Clicked TOC item:', item.querySelector('.toc-content h3')?.textContent);
+                
+                // Find the corresponding menu item
+                const href = item.getAttribute('data-href');
+                const remoteMd = item.getAttribute('data-remote');
+                const dataMd = item.getAttribute('data-md');
+                
+                utils.log('TOC item data:', { href, remoteMd, dataMd });
+                
+                let targetLink = this.router.resolve(href.substring(1));
+                utils.log('Target link found:', targetLink);
+                utils.log('Target link text:', targetLink?.textContent);
+                utils.log('Target link href:', targetLink?.getAttribute('href'));
+                
+                if (targetLink) {
+                    utils.log('Calling selectMenuItemAndLoadContent with target link');
+                    // Use the unified function to handle menu selection and content loading
+                    this.selectMenuItemAndLoadContent(targetLink);
+                } else {
+                    utils.log('Target link not found for href:', href);
+                    utils.log('All available links with href:', href);
+                    const allLinks = utils.getElements('a');
+                    allLinks.forEach(link => {
+                        if (link.getAttribute('href') === href) {
+                            utils.log('Found matching link:', link.textContent);
+                        }
+                    });
+                }
+                
+                utils.log('=== TOC Item Click END ===');
+            });
+        });
+        
+        utils.log('=== initializeTOCItemHandlers END ===');
+    }
+
+    handleSubmenuVisibility(link) {
+        const parentLi = link.parentElement;
+        const currentSubmenu = parentLi.querySelector('.sub-menu');
+        
+        if (currentSubmenu) {
+            // Close all other submenus first
+            this.closeSiblingSubmenus(parentLi);
+            
+            // Toggle current submenu
+            this.toggleSubmenu(parentLi);
+        }
+    }
+
+    closeSiblingSubmenus(currentLi) {
+        const siblingLis = currentLi.parentElement.children;
+        Array.from(siblingLis).forEach(li => {
+            if (li !== currentLi) {
+                li.classList.remove(CLASSES.SHOW_SUBMENU);
+            }
+        });
+    }
+
+    toggleSubmenu(parentLi) {
+        parentLi.classList.toggle(CLASSES.SHOW_SUBMENU);
+    }
+
+    initializeDocumentClick() {
+        document.addEventListener('click', (e) => {
+            // Close submenus when clicking outside
+            if (!e.target.closest('.docs-sidebar')) {
+                this.closeAllSubmenus();
+            }
+        });
+    }
+
+    closeAllSubmenus() {
+        const submenus = utils.getElements('.sub-menu');
+        submenus.forEach(submenu => {
+            const parentLi = submenu.parentElement;
+            parentLi.classList.remove(CLASSES.SHOW_SUBMENU);
+        });
+    }
+}
+
+// Remote Content Fetcher class to cache and reliably fetch remote module READMEs
+class RemoteContentFetcher {
+    static memoryCache = new Map();
+    static pendingRequests = new Map();
+
+    // Concurrent requests for the same URL share a single fetch
+    static fetchContent(url) {
+        if (this.pendingRequests.has(url)) {
+            utils.log('Reusing in-flight request for:', url);
+            return this.pendingRequests.get(url);
+        }
+
+        const request = this.loadContent(url).finally(() => this.pendingRequests.delete(url));
+        this.pendingRequests.set(url, request);
+        return request;
+    }
+
+    static async loadContent(url) {
+        const cached = this.readCache(url);
+        if (cached && Date.now() - cached.fetchedAt < REMOTE_CONTENT_OPTIONS.TTL_MS) {
+            utils.log('Serving remote content from cache:', url);
+            return { ...cached, fromCache: true, stale: false };
+        }
+
+        try {
+            const response = await this.fetchWithRetry(url, cached ? cached.etag : null);
+
+            if (response.status === 304 && cached) {
+                utils.log('Remote content not modified:', url);
+                const entry = { ...cached, fetchedAt: Date.now() };
+                this.writeCache(url, entry);
+                return { ...entry, fromCache: true, stale: false };
+            }
+
+            const text = await response.text();
+            const entry = { text, etag: response.headers.get('ETag'), fetchedAt: Date.now() };
+            this.writeCache(url, entry);
+            return { ...entry, fromCache: false, stale: false };
+        } catch (error) {
+            if (cached) {
+                utils.error('Remote content unavailable, using cached copy:', error);
+                return { ...cached, fromCache: true, stale: true, error };
+            }
+            throw error;
+        }
+    }
+
+    static async fetchWithRetry(url, etag) {
+        // If-None-Match is only sent when the server exposed an ETag, i.e. it already speaks CORS
+        const headers = etag ? { 'If-None-Match': etag } : {};
+        let lastError;
+
+        for (let attempt = 0; attempt <= REMOTE_CONTENT_OPTIONS.RETRIES; attempt++) {
+            if (attempt > 0) {
+                const delay = REMOTE_CONTENT_OPTIONS.BACKOFF_MS * Math.pow(2, attempt - 1);
+                utils.log(`Retrying ${url} in ${delay}ms (attempt ${attempt + 1})`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+
+            try {
+                const response = await this.fetchWithTimeout(url, headers);
+                utils.log('Fetch response status:', response.status);
+
+                if (response.ok || response.status === 304) {
+                    return response;
+                }
+
+                lastError = new Error(`Failed to load content: ${response.status} ${response.statusText}`);
+                lastError.status = response.status;
+
+                // Only rate limiting and server errors are worth retrying
+                if (response.status !== 429 && response.status < 500) {
+                    throw lastError;
+                }
+            } catch (error) {
+                if (error.status && error.status !== 429 && error.status < 500) {
+                    throw error;
+                }
+                lastError = error;
+            }
+        }
+
+        throw lastError;
+    }
+
+    static async fetchWithTimeout(url, headers) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), REMOTE_CONTENT_OPTIONS.TIMEOUT_MS);
+        try {
+            return await fetch(url, { headers, signal: controller.signal });
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error(`Request timed out after ${REMOTE_CONTENT_OPTIONS.TIMEOUT_MS}ms`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    // Returns the cached copy without touching the network (used by the search index)
+    static peek(url) {
+        return this.readCache(url);
+    }
+
+    static readCache(url) {
+        if (this.memoryCache.has(url)) {
+            return this.memoryCache.get(url);
+        }
+
+        try {
+            const stored = window.localStorage.getItem(REMOTE_CONTENT_OPTIONS.STORAGE_PREFIX + url);
+            if (stored) {
+                const entry = JSON.parse(stored);
+                this.memoryCache.set(url, entry);
+                return entry;
+            }
+        } catch (error) {
+            utils.error('Could not read cached remote content:', error);
+        }
+        return null;
+    }
+
+    static writeCache(url, entry) {
+        this.memoryCache.set(url, entry);
+        try {
+            window.localStorage.setItem(REMOTE_CONTENT_OPTIONS.STORAGE_PREFIX + url, JSON.stringify(entry));
+        } catch (error) {
+            // Storage full or disabled: the in-memory copy still serves this session
+            utils.error('Could not persist remote content:', error);
+        }
+    }
+}
+
+// Front matter: a leading "---" block in the YAML subset the docs use (scalars, quotes, booleans, [a, b] and "- item" lists)
+class FrontMatter {
+    static PATTERN = /^\uFEFF?---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+    static parse(text) {
+        const match = (text || '').match(this.PATTERN);
+        if (!match) {
+            return { data: {}, body: text || '' };
+        }
+
+        // A page may also open with a "---" horizontal rule: unless every line is "key: value" or a list item,
+        // the block is markdown and is left alone
+        const data = {};
+        let listKey = null;
+        const isFrontMatter = match[1].split(/\r?\n/).every(line => {
+            if (!line.trim() || line.trim().startsWith('#')) return true;
+
+            const listItem = line.match(/^\s+-\s+(.*)$/) || line.match(/^-\s+(.*)$/);
+            if (listItem && listKey) {
+                data[listKey].push(this.parseValue(listItem[1]));
+                return true;
+            }
+
+            const entry = line.match(/^([A-Za-z][\w-]*)\s*:(?:\s+(.*))?$/);
+            if (!entry) {
+                utils.log('Not front matter, keeping the block as markdown:', line);
+                return false;
+            }
+
+            const key = this.normalizeKey(entry[1]);
+            if (!entry[2]) {
+                data[key] = [];
+                listKey = key;
+            } else {
+                data[key] = this.parseValue(entry[2]);
+                listKey = null;
+            }
+            return true;
+        });
+
+        if (!isFrontMatter || Object.keys(data).length === 0) {
+            return { data: {}, body: text };
+        }
+        return { data: this.normalize(data), body: text.slice(match[0].length) };
+    }
+
+    static parseValue(raw) {
+        const value = raw.trim();
+        if (/^\[.*\]$/.test(value)) {
+            return value.slice(1, -1).split(',').map(item => this.parseValue(item)).filter(item => item !== '');
+        }
+        if (/^(["']).*\1$/.test(value)) {
+            return value.slice(1, -1);
+        }
+        if (value === 'true' || value === 'false') {
+            return value === 'true';
+        }
+        return value;
+    }
+
+    // "since-version" and "last_updated" become sinceVersion and lastUpdated
+    static normalizeKey(key) {
+        return key.toLowerCase().replace(/[-_]([a-z])/g, (match, letter) => letter.toUpperCase());
+    }
+
+    static normalize(data) {
+        if (data.since && !data.sinceVersion) data.sinceVersion = data.since;
+        if (data.author && !data.authors) data.authors = data.author;
+        ['tags', 'authors'].forEach(key => {
+            if (data[key] !== undefined && !Array.isArray(data[key])) {
+                data[key] = String(data[key]).split(',').map(item => item.trim()).filter(Boolean);
+            }
+        });
+        data.draft = data.draft === true;
+        return data;
+    }
+}
+
+// Content Loader class to handle all content loading functionality
+class ContentLoader {
+    static defaultMeta = null;
+    static currentPage = null;
+    static markedConfigured = false;
+    static lastUpdatedPromise = null;
+    static staticPages = null;
+    static loadCount = 0;
+
+    // Every page load takes a number, so a slow load that finishes after the reader has moved on is dropped
+    static startLoad() {
+        return ++this.loadCount;
+    }
+
+    static isCurrentLoad(loadId) {
+        return loadId === this.loadCount;
+    }
+
+    static isStaleLoad(loadId, source) {
+        if (this.isCurrentLoad(loadId)) return false;
+        utils.log('Discarding content for a page that is no longer open:', source);
+        return true;
+    }
+
+    static async loadLocalContent(mdFile) {
+        const loadId = this.startLoad();
+        try {
+            utils.log('=== loadLocalContent START ===');
+            utils.log('Loading markdown file:', mdFile);
+            
+            const docsContent = utils.getElement(SELECTORS.DOCS_CONTENT);
+            this.showLoading(docsContent);
+            
+            const lastUpdated = this.loadLastUpdated();
+            const response = await fetch(VersionManager.contentPath(mdFile));
+            utils.log('Fetch response status:', response.status);
+            
+            if (!response.ok) {
+                const error = new Error(`Failed to load content: ${response.status} ${response.statusText}`);
+                error.status = response.status;
+                throw error;
+            }
+            
+            // Empty pages are rendered as "under construction" by displayContent
+            const text = await response.text();
+            if (this.isStaleLoad(loadId, mdFile)) return;
+            utils.log('Content received:', text.substring(0, 200) + '...');
+            
+            this.displayContent(text, docsContent, { remote: false });
+            const contentWrapper = docsContent.querySelector('.markdown-content');
+            this.notifyContentLoaded(mdFile, text, false);
+
+            const filePath = VersionManager.contentPath(mdFile);
+            const { files } = await lastUpdated;
+            if (this.isStaleLoad(loadId, mdFile)) return;
+            this.addPageFooter(contentWrapper, {
+                ...this.getLocalSourceLinks(filePath),
+                lastCommit: files[filePath] || null
+            });
+        } catch (error) {
+            if (this.isStaleLoad(loadId, mdFile)) return;
+            this.handleError(error, mdFile, {
+                sourceUrl: VersionManager.contentPath(mdFile),
+                retry: () => this.loadLocalContent(mdFile)
+            });
+        }
+        utils.log('=== loadLocalContent END ===');
+    }
+
+    static async loadRemoteContent(element) {
+        const loadId = this.startLoad();
+        try {
+            utils.log('=== loadRemoteContent START ===');
+            const contentUrl = element.getAttribute('remote-md');
+            utils.log('Loading remote content from:', contentUrl);
+            
+            const docsContent = utils.getElement(SELECTORS.DOCS_CONTENT);
+            this.showLoading(docsContent);
+            
+            const { result, fallbackRef } = await this.fetchVersionedRemoteContent(contentUrl);
+            if (this.isStaleLoad(loadId, contentUrl)) return;
+            const text = result.text;
+            utils.log('Content received:', text.substring(0, 200) + '...');
+            
+            const loadedUrl = fallbackRef ? VersionManager.getUnpinnedUrl(contentUrl) : contentUrl;
+            this.displayContent(text, docsContent, { remote: true, sourceUrl: loadedUrl });
+            this.addSourceHeader(docsContent.querySelector('.markdown-content'), this.parseRawGitHubUrl(loadedUrl));
+            if (result.stale) {
+                this.showCachedNotice(docsContent, result.fetchedAt);
+            }
+            if (fallbackRef) {
+                this.showNotice(docsContent, 'fas fa-code-branch',
+                    `This module has no <code>${utils.escapeHtml(VersionManager.shortRef(VersionManager.current.ref))}</code> tag yet. Showing its README from the <code>${utils.escapeHtml(VersionManager.shortRef(fallbackRef))}</code> branch.`);
+            }
+            this.notifyContentLoaded(contentUrl, text, true);
+
+            const sourceLinks = this.getRemoteSourceLinks(loadedUrl);
+            if (sourceLinks) {
+                this.addPageFooter(docsContent.querySelector('.markdown-content'), { ...sourceLinks, lastCommit: null });
+            }
+        } catch (error) {
+            const contentUrl = element.getAttribute('remote-md');
+            if (this.isStaleLoad(loadId, contentUrl)) return;
+            this.handleError(error, contentUrl, {
+                sourceUrl: contentUrl,
+                retry: () => this.loadRemoteContent(element)
+            });
+        }
+        utils.log('=== loadRemoteContent END ===');
+    }
+
+    // A prerendered page keeps its static content on screen until the first live render replaces it
+    static showLoading(docsContent) {
+        if (docsContent.hasAttribute(PRERENDERED_PAGE_ATTRIBUTE)) {
+            docsContent.removeAttribute(PRERENDERED_PAGE_ATTRIBUTE);
+            return;
+        }
+        docsContent.innerHTML = utils.createElement('div', CLASSES.LOADING, 'Loading content...').outerHTML;
+    }
+
+    // Build-time manifest of the last commit per page, see scripts/generate-last-updated.js
+    static loadLastUpdated() {
+        if (!this.lastUpdatedPromise) {
+            this.lastUpdatedPromise = fetch(SOURCE_REPOSITORY.LAST_UPDATED_MANIFEST)
+                .then(response => response.ok ? response.json() : { files: {} })
+                .catch(error => {
+                    utils.log('Last updated manifest not available:', error.message);
+                    return { files: {} };
+                });
+        }
+        return this.lastUpdatedPromise;
+    }
+
+    static getLocalSourceLinks(filePath) {
+        return {
+            editUrl: `${SOURCE_REPOSITORY.URL}/edit/${SOURCE_REPOSITORY.BRANCH}/${filePath}`,
+            sourceUrl: `${SOURCE_REPOSITORY.URL}/blob/${SOURCE_REPOSITORY.BRANCH}/${filePath}`,
+            repositoryUrl: SOURCE_REPOSITORY.URL
+        };
+    }
+
+    // https://raw.githubusercontent.com/<owner>/<repo>/[refs/heads/|refs/tags/]<ref>/<file>
+    static parseRawGitHubUrl(rawUrl) {
+        const url = new URL(rawUrl);
+        if (url.hostname !== 'raw.githubusercontent.com') return null;
+
+        const [owner, repo, ...rest] = url.pathname.split('/').filter(Boolean);
+        const isTag = rest[0] === 'refs' && rest[1] === 'tags';
+        const refPath = rest[0] === 'refs' ? rest.splice(0, 3).join('/') : rest.shift();
+        return {
+            owner,
+            repo,
+            ref: refPath.split('/').pop(),
+            refPath,
+            isTag,
+            file: rest.join('/'),
+            isDirectory: url.pathname.endsWith('/'),
+            repositoryUrl: `https://github.com/${owner}/${repo}`
+        };
+    }
+
+    // github.com/<owner>/<repo>[/blob|tree/<ref>/<path>] -> the README it shows
+    static parseGitHubUrl(url) {
+        if (url.hostname === 'raw.githubusercontent.com') {
+            return this.parseRawGitHubUrl(url.href);
+        }
+        if (url.hostname !== 'github.com') return null;
+
+        const [owner, repo, kind, ref, ...rest] = url.pathname.split('/').filter(Boolean);
+        if (!owner || !repo) return null;
+        const repositoryUrl = `https://github.com/${owner}/${repo}`;
+        if (!kind) {
+            return { owner, repo, ref: null, file: '', isDirectory: true, repositoryUrl };
+        }
+        if (kind !== 'blob' && kind !== 'tree') return null;
+        return { owner, repo, ref, file: rest.join('/'), isDirectory: kind === 'tree', repositoryUrl };
+    }
+
+    static getRemoteSourceLinks(rawUrl) {
+        const source = this.parseRawGitHubUrl(rawUrl);
+        if (!source) return null;
+
+        // A release tag cannot be edited, so fixes are proposed against the default branch
+        const editRef = source.isTag ? VersionManager.shortRef(VersionManager.DEFAULT_REF) : source.ref;
+        return {
+            editUrl: `${source.repositoryUrl}/edit/${editRef}/${source.file}`,
+            sourceUrl: `${source.repositoryUrl}/blob/${source.ref}/${source.file}`,
+            repositoryUrl: source.repositoryUrl
+        };
+    }
+
+    // Names the module repository a README comes from, above its content
+    static addSourceHeader(contentWrapper, source) {
+        if (!contentWrapper || !source) return;
+
+        const header = utils.createElement('div', 'module-source', `
+            <i class="fab fa-github" aria-hidden="true"></i>
+            <span>Module README from
+                <a href="${utils.escapeHtml(source.repositoryUrl)}" target="_blank" rel="noopener noreferrer">${utils.escapeHtml(`${source.owner}/${source.repo}`)}</a>
+            </span>
+            <a class="module-source-ref" href="${utils.escapeHtml(`${source.repositoryUrl}/tree/${source.ref}`)}" target="_blank" rel="noopener noreferrer" title="Git reference">
+                <i class="fas fa-code-branch" aria-hidden="true"></i> ${utils.escapeHtml(source.ref)}
+            </a>
+        `);
+        contentWrapper.insertBefore(header, contentWrapper.firstChild);
+    }
+
+    // Relative URLs in a module README point into its repository, not at this site. As on GitHub,
+    // "/docs/setup.md" starts from the repository root and "../" never leaves it.
+    static resolveModuleUrl(value, sourceUrl) {
+        const source = this.parseRawGitHubUrl(sourceUrl);
+        const trimmed = value.trim();
+        if (!source || trimmed.startsWith('#') || trimmed.startsWith('//') || /^[a-z][a-z0-9+.-]*:/i.test(trimmed)) {
+            return value;
+        }
+
+        try {
+            const target = new URL(trimmed, `https://repository.invalid/${source.file}`);
+            return `https://raw.githubusercontent.com/${source.owner}/${source.repo}/${source.refPath}${target.pathname}${target.search}${target.hash}`;
+        } catch (error) {
+            return value;
+        }
+    }
+
+    static addPageFooter(contentWrapper, { editUrl, sourceUrl, repositoryUrl, lastCommit }) {
+        if (!contentWrapper) return;
+
+        const footer = utils.createElement('footer', 'page-footer');
+        let html = `
+            <div class="page-footer-links">
+                <a href="${utils.escapeHtml(editUrl)}" target="_blank" rel="noopener noreferrer"><i class="fas fa-pen"></i> Edit this page on GitHub</a>
+                <a href="${utils.escapeHtml(sourceUrl)}" target="_blank" rel="noopener noreferrer"><i class="fas fa-code"></i> View source</a>
+            </div>
+        `;
+        if (lastCommit) {
+            html += `
+                <div class="page-footer-updated">
+                    Last updated
+                    <a href="${utils.escapeHtml(`${repositoryUrl}/commit/${lastCommit.commit}`)}" target="_blank" rel="noopener noreferrer"><time datetime="${utils.escapeHtml(lastCommit.date)}">${utils.escapeHtml(this.formatDate(lastCommit.date))}</time></a>
+                </div>
+            `;
+        }
+        footer.innerHTML = html;
+
+        // Stay above the previous/next links added by PageNavigationManager
+        const pagination = contentWrapper.querySelector(':scope > .page-pagination');
+        contentWrapper.insertBefore(footer, pagination);
+    }
+
+    // Modules released after the documentation version have no matching tag; fall back to their main branch
+    static async fetchVersionedRemoteContent(contentUrl) {
+        try {
+            return { result: await RemoteContentFetcher.fetchContent(contentUrl), fallbackRef: null };
+        } catch (error) {
+            const fallbackUrl = VersionManager.getUnpinnedUrl(contentUrl);
+            if (error.status !== 404 || !fallbackUrl) {
+                throw error;
+            }
+            utils.log('Pinned README not found, falling back to:', fallbackUrl);
+            return { result: await RemoteContentFetcher.fetchContent(fallbackUrl), fallbackRef: VersionManager.DEFAULT_REF };
+        }
+    }
+
+    static displayContent(text, container, { remote = false, sourceUrl = null } = {}) {
+        const { data: meta, body } = FrontMatter.parse(text);
+
+        // Check if content is empty or just whitespace
+        if (!body || body.trim() === '') {
+            const contentWrapper = utils.createElement('div', 'markdown-content');
+            contentWrapper.innerHTML = this.createUnderConstructionContent();
+            container.innerHTML = '';
+            container.appendChild(contentWrapper);
+            this.updatePageMeta(meta, null);
+            return;
+        }
+
+        if (meta.draft && !utils.isPreviewMode()) {
+            utils.log('Hiding draft page:', meta.title);
+            const contentWrapper = utils.createElement('div', 'markdown-content');
+            contentWrapper.innerHTML = this.createDraftContent();
+            container.innerHTML = '';
+            container.appendChild(contentWrapper);
+            this.updatePageMeta({}, null);
+            return;
+        }
+
+        const html = this.parseMarkdown(body);
+        const contentWrapper = utils.createElement('div', 'markdown-content');
+        const resolveUrl = remote && sourceUrl ? value => this.resolveModuleUrl(value, sourceUrl) : null;
+        contentWrapper.appendChild(HtmlSanitizer.sanitize(html, remote ? 'remote' : 'local', { resolveUrl }));
+        Callouts.enhance(contentWrapper);
+        
+        // Add IDs to headings
+        this.addHeadingIds(contentWrapper);
+        
+        // Point anchors, other pages and external sites at the right place
+        this.rewriteLinks(contentWrapper, { remote });
+
+        this.addPageHeader(contentWrapper, meta);
+        
+        container.innerHTML = '';
+        container.appendChild(contentWrapper);
+        this.highlightCodeBlocks(contentWrapper);
+        CodeBlockEnhancer.enhance(contentWrapper);
+        CodeTabs.group(contentWrapper);
+        DiagramRenderer.render(contentWrapper);
+        if (!remote) {
+            CommandBuilder.embed(contentWrapper);
+            MeshVisualizer.embed(contentWrapper);
+        }
+
+        const firstHeading = contentWrapper.querySelector('h1');
+        this.updatePageMeta(meta, firstHeading ? firstHeading.textContent.trim() : null);
+    }
+
+    static parseMarkdown(markdown) {
+        if (!this.markedConfigured) {
+            marked.use({
+                extensions: [Callouts.extension],
+                renderer: { code: (token) => CodeBlockEnhancer.renderCode(token) }
+            });
+            this.markedConfigured = true;
+        }
+        return marked.parse(markdown);
+    }
+
+    // Title, version, dates, authors and tags from the front matter, placed under the page's h1
+    static addPageHeader(contentWrapper, meta) {
+        const header = utils.createElement('header', 'page-header');
+        const firstElement = contentWrapper.firstElementChild;
+        const hasTitle = firstElement && firstElement.tagName === 'H1';
+
+        if (!hasTitle && meta.title) {
+            const title = utils.createElement('h1', 'page-header-title');
+            title.textContent = meta.title;
+            header.appendChild(title);
+        }
+        if (meta.description) {
+            header.appendChild(utils.createElement('p', 'page-header-description', utils.escapeHtml(meta.description)));
+        }
+
+        const details = [];
+        if (meta.draft) {
+            details.push('<span class="page-header-badge page-header-draft"><i class="fas fa-pencil-alt"></i> Draft</span>');
+        }
+        if (meta.sinceVersion) {
+            details.push(`<span class="page-header-badge"><i class="fas fa-code-branch"></i> Since ${utils.escapeHtml(meta.sinceVersion)}</span>`);
+        }
+        if (meta.lastUpdated) {
+            details.push(`<span class="page-header-item"><i class="far fa-calendar-alt"></i> Updated ${utils.escapeHtml(this.formatDate(meta.lastUpdated))}</span>`);
+        }
+        if (meta.authors && meta.authors.length > 0) {
+            details.push(`<span class="page-header-item"><i class="fas fa-user"></i> ${meta.authors.map(author => utils.escapeHtml(author)).join(', ')}</span>`);
+        }
+        if (details.length > 0) {
+            header.appendChild(utils.createElement('div', 'page-header-details', details.join('')));
+        }
+        if (meta.tags && meta.tags.length > 0) {
+            header.appendChild(utils.createElement('ul', 'page-header-tags',
+                meta.tags.map(tag => `<li class="page-header-tag">${utils.escapeHtml(tag)}</li>`).join('')));
+        }
+
+        if (!header.firstChild) return;
+        if (hasTitle) {
+            firstElement.after(header);
+        } else {
+            contentWrapper.insertBefore(header, firstElement);
+        }
+    }
+
+    static formatDate(value) {
+        const date = new Date(value);
+        return isNaN(date.getTime())
+            ? String(value)
+            : date.toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' });
+    }
+
+    // Page title, meta description and canonical URL follow the page being read. Front matter wins, then the
+    // page's first heading, then its navigation entry (currentPage); anything else falls back to the shell's defaults.
+    static updatePageMeta(meta, fallbackTitle) {
+        const description = utils.getElement(PAGE_META.DESCRIPTION);
+        const canonical = utils.getElement(PAGE_META.CANONICAL);
+        if (!this.defaultMeta) {
+            this.defaultMeta = {
+                title: document.title,
+                description: description ? description.getAttribute('content') : '',
+                canonical: canonical ? canonical.getAttribute('href') : null
+            };
+        }
+
+        const page = this.currentPage || {};
+        const title = meta.title || fallbackTitle || page.title;
+        document.title = title ? `${title}${PAGE_META.TITLE_SUFFIX}` : this.defaultMeta.title;
+        if (description) {
+            description.setAttribute('content', meta.description || page.description || this.defaultMeta.description);
+        }
+        if (canonical) {
+            canonical.setAttribute('href', page.id ? this.getCanonicalUrl(page.id) : this.defaultMeta.canonical);
+        }
+    }
+
+    // The static page written by scripts/prerender.js when the built site has one; otherwise (other versions,
+    // pages the build skipped, or the repository served as-is) the page on the documentation shell
+    static getCanonicalUrl(pageId) {
+        const version = VersionManager.current;
+        const isDefaultVersion = !version || version === VersionManager.defaultVersion;
+        if (isDefaultVersion && this.getStaticPages().has(pageId)) {
+            return new URL(`${encodeURIComponent(pageId)}.html`, window.location.href).href;
+        }
+
+        const params = new URLSearchParams({ page: pageId });
+        if (!isDefaultVersion) params.set('version', version.id);
+        return new URL(`${DOCS_SHELL}?${params}`, window.location.href).href;
+    }
+
+    static getStaticPages() {
+        if (!this.staticPages) {
+            const meta = utils.getElement(PAGE_META.STATIC_PAGES);
+            this.staticPages = new Set(meta ? meta.getAttribute('content').split(/\s+/).filter(Boolean) : []);
+        }
+        return this.staticPages;
+    }
+
+    static showCachedNotice(container, fetchedAt) {
+        this.showNotice(container, 'fas fa-history',
+            `Showing cached version from ${utils.escapeHtml(new Date(fetchedAt).toLocaleString())}. The latest version could not be loaded.`);
+    }
+
+    static showNotice(container, iconClass, html) {
+        const contentWrapper = container.querySelector('.markdown-content');
+        if (!contentWrapper) return;
+
+        const notice = utils.createElement('div', 'cached-content-notice');
+        notice.setAttribute('role', 'status');
+        notice.innerHTML = `<i class="${iconClass}"></i> ${html}`;
+        contentWrapper.insertBefore(notice, contentWrapper.firstChild);
+    }
+
+    static notifyContentLoaded(source, text, remote) {
+        // Let other managers (search, navigation) react to freshly rendered pages
+        document.dispatchEvent(new CustomEvent(EVENTS.CONTENT_LOADED, {
+            detail: { source, text, remote }
+        }));
+    }
+
+    static scrollToHeading(headingId, smooth = true) {
+        const docsContent = utils.getElement(SELECTORS.DOCS_CONTENT);
+        const resolvedId = docsContent ? this.findHeadingId(docsContent, headingId) : null;
+        if (resolvedId) {
+            document.getElementById(resolvedId).scrollIntoView({ behavior: smooth ? 'smooth' : 'auto', block: 'start' });
+            return true;
+        }
+        utils.log('Heading not found:', headingId);
+        return false;
+    }
+
+    static findHeadingId(container, anchor) {
+        if (!anchor) return null;
+        const headings = Array.from(container.querySelectorAll('h1[id], h2[id], h3[id], h4[id], h5[id], h6[id]'));
+
+        const exactHeading = headings.find(heading => heading.id === anchor);
+        if (exactHeading) return exactHeading.id;
+
+        // Authors often write GitHub-style slugs ("security--permissions"), so compare letters and digits only
+        const normalize = (id) => id.toLowerCase().replace(/[^a-z0-9]/g, '');
+        const normalizedAnchor = normalize(anchor);
+        const similarHeading = normalizedAnchor && headings.find(heading => normalize(heading.id) === normalizedAnchor);
+        return similarHeading ? similarHeading.id : null;
+    }
+
+    static findPageIdForFile(mdFile) {
+        const link = Router.getSidebarLinks().find(sidebarLink => sidebarLink.getAttribute('data-md') === mdFile);
+        return link ? Router.getPageId(link) : null;
+    }
+
+    // Module READMEs are matched by repository and path whatever ref the link or the sidebar uses
+    static findPageIdForModuleFile(target) {
+        const targetFile = target.isDirectory ? [target.file, 'README.md'].filter(Boolean).join('/') : target.file;
+        const key = `${target.owner}/${target.repo}/${targetFile}`.toLowerCase();
+
+        const link = Router.getSidebarLinks().find(sidebarLink => {
+            const remoteMd = sidebarLink.getAttribute('remote-md');
+            const source = remoteMd ? this.parseRawGitHubUrl(remoteMd) : null;
+            return source && `${source.owner}/${source.repo}/${source.file}`.toLowerCase() === key;
+        });
+        return link ? Router.getPageId(link) : null;
+    }
+
+    // READMEs that are in the sidebar open in the docs; other repository files open on GitHub instead of as raw text
+    static rewriteModuleLink(link, url) {
+        const target = this.parseGitHubUrl(url);
+        if (!target) return false;
+
+        const pageId = this.findPageIdForModuleFile(target);
+        if (pageId) {
+            this.markPageLink(link, pageId, utils.decodeFragment(url.hash.substring(1)) || null);
+            return true;
+        }
+        if (url.hostname === 'raw.githubusercontent.com') {
+            const view = target.isDirectory ? 'tree' : 'blob';
+            link.setAttribute('href', `${target.repositoryUrl}/${view}/${target.ref}/${target.file}${url.search}${url.hash}`);
+        }
+        return false;
+    }
+
+    static rewriteLinks(container, { remote = false } = {}) {
+        container.querySelectorAll('a[href]').forEach(link => {
+            const href = link.getAttribute('href');
+
+            // Same-page anchors scroll to the heading instead of colliding with sidebar identifiers
+            if (href.startsWith('#')) {
+                const anchor = utils.decodeFragment(href.substring(1));
+                const headingId = this.findHeadingId(container, anchor);
+                if (headingId) {
+                    link.setAttribute('href', `#${headingId}`);
+                    link.setAttribute('data-doc-link', 'anchor');
+                    link.setAttribute('data-doc-heading', headingId);
+                } else if (!remote && Router.getSidebarLinks().some(sidebarLink => Router.getPageId(sidebarLink) === anchor)) {
+                    this.markPageLink(link, anchor, null);
+                }
+                return;
+            }
+
+            let url;
+            try {
+                url = new URL(href, window.location.href);
+            } catch (error) {
+                return;
+            }
+
+            // Links to other local markdown pages are loaded inside the docs instead of as raw files
+            if (!remote && url.origin === window.location.origin && /\.md$/i.test(url.pathname)) {
+                const mdFile = url.pathname.split('/').pop();
+                const pageId = this.findPageIdForFile(mdFile);
+                if (pageId) {
+                    this.markPageLink(link, pageId, utils.decodeFragment(url.hash.substring(1)) || null);
+                } else {
+                    utils.log('No sidebar entry for linked markdown file:', mdFile);
+                }
+                return;
+            }
+
+            if (remote && this.rewriteModuleLink(link, url)) {
+                return;
+            }
+
+            if (/^https?:$/.test(url.protocol) && url.origin !== window.location.origin) {
+                this.markExternalLink(link);
+            }
+        });
+    }
+
+    static markPageLink(link, pageId, headingId) {
+        link.setAttribute('href', Router.pageHref(pageId, headingId));
+        link.setAttribute('data-doc-link', 'page');
+        link.setAttribute('data-doc-page', pageId);
+        if (headingId) {
+            link.setAttribute('data-doc-heading', headingId);
+        }
+    }
+
+    static markExternalLink(link) {
+        link.setAttribute('target', '_blank');
+        link.setAttribute('rel', 'noopener noreferrer');
+
+        // Badge and image links stay as they are
+        if (!link.querySelector('img')) {
+            link.appendChild(utils.createElement('i', 'fas fa-external-link-alt external-link-icon'));
+            link.lastChild.setAttribute('aria-hidden', 'true');
+        }
+    }
+
+    static addHeadingIds(container) {
+        // Find all heading elements (h1, h2, h3, h4, h5, h6)
+        const headings = container.querySelectorAll('h1, h2, h3, h4, h5, h6');
+        const usedIds = new Set();
+        
+        headings.forEach(heading => {
+            // Get the text content of the heading
+            const text = heading.textContent.trim();
+            
+            // Convert to URL-friendly ID
+            const id = this.generateHeadingId(text);
+            
+            // Set the ID if it doesn't already exist, suffixing repeated headings (e.g. "example-1")
+            if (!heading.id) {
+                let uniqueId = id;
+                for (let suffix = 1; usedIds.has(uniqueId); suffix++) {
+                    uniqueId = `${id}-${suffix}`;
+                }
+                heading.id = uniqueId;
+            }
+            usedIds.add(heading.id);
+        });
+    }
+
+    static generateHeadingId(text) {
+        return text
+            .toLowerCase()
+            .replace(/[^\w\s-]/g, '') // Remove special characters except spaces and hyphens
+            .replace(/\s+/g, '-') // Replace spaces with hyphens
+            .replace(/-+/g, '-') // Replace multiple hyphens with single hyphen
+            .replace(/^-+|-+$/g, ''); // Remove leading and trailing hyphens
+    }
+
+    static handleError(error, source, { sourceUrl = source, retry = null } = {}) {
+        utils.error('Error loading content:', error);
+        const docsContent = utils.getElement(SELECTORS.DOCS_CONTENT);
+        const contentWrapper = utils.createElement('div', 'markdown-content');
+        
+        // A missing file and an unreachable server need different next steps for the reader
+        if (error.status === 404 || error.status === 410) {
+            contentWrapper.innerHTML = this.createNotFoundContent(source, this.findSimilarPages(source));
+        } else {
+            contentWrapper.innerHTML = this.createNetworkErrorContent(error, sourceUrl, !!retry);
+            const retryButton = contentWrapper.querySelector('.content-state-retry');
+            if (retryButton) {
+                retryButton.addEventListener('click', () => retry());
+            }
+        }
+        
+        docsContent.innerHTML = '';
+        docsContent.appendChild(contentWrapper);
+    }
+
+    static getPageName(source) {
+        return source.split('/').pop().replace(/\.md$/i, '').toLowerCase();
+    }
+
+    static findSimilarPages(source) {
+        const missingName = this.getPageName(source);
+        const seen = new Set();
+
+        return Router.getSidebarLinks()
+            .filter(link => link.getAttribute('data-md') || link.getAttribute('remote-md'))
+            .map(link => {
+                const pageId = Router.getPageId(link);
+                const fileName = this.getPageName(link.getAttribute('data-md') || link.getAttribute('remote-md'));
+                const title = link.textContent.trim();
+                const score = Math.max(
+                    this.similarity(missingName, pageId),
+                    this.similarity(missingName, fileName),
+                    this.similarity(missingName, title.toLowerCase())
+                );
+                return { pageId, title, fileName, score };
+            })
+            .filter(page => page.fileName !== missingName && page.score >= 0.3)
+            .sort((a, b) => b.score - a.score)
+            .filter(page => !seen.has(page.pageId) && seen.add(page.pageId))
+            .slice(0, 3);
+    }
+
+    // Dice coefficient over character bigrams, ignoring separators
+    static similarity(first, second) {
+        const bigrams = (text) => {
+            const normalized = text.replace(/[^a-z0-9]/g, '');
+            const pairs = [];
+            for (let i = 0; i < normalized.length - 1; i++) {
+                pairs.push(normalized.substring(i, i + 2));
+            }
+            return pairs;
+        };
+
+        const firstPairs = bigrams(first);
+        const secondPairs = bigrams(second);
+        if (firstPairs.length === 0 || secondPairs.length === 0) return 0;
+
+        const remaining = [...secondPairs];
+        let matches = 0;
+        firstPairs.forEach(pair => {
+            const index = remaining.indexOf(pair);
+            if (index !== -1) {
+                matches++;
+                remaining.splice(index, 1);
+            }
+        });
+        return (2 * matches) / (firstPairs.length + secondPairs.length);
+    }
+
+    static createNotFoundContent(source, suggestions) {
+        const suggestionsHtml = suggestions.length > 0
+            ? `
+                <p>You might be looking for:</p>
+                <ul class="content-state-suggestions">
+                    ${suggestions.map(page => `
+                        <li><a href="${utils.escapeHtml(Router.pageHref(page.pageId))}" data-doc-link="page" data-doc-page="${utils.escapeHtml(page.pageId)}">${utils.escapeHtml(page.title)}</a></li>
+                    `).join('')}
+                </ul>
+            `
+            : '<p>Try the search box in the sidebar to find what you need.</p>';
+
+        return `
+            <div class="content-state content-state-not-found">
+                <div class="content-state-icon"><i class="fas fa-file-alt"></i></div>
+                <h2>Page Not Found</h2>
+                <p>The page <code>${utils.escapeHtml(source.split('/').pop())}</code> does not exist.</p>
+                ${suggestionsHtml}
+            </div>
+        `;
+    }
+
+    static createNetworkErrorContent(error, sourceUrl, canRetry) {
+        return `
+            <div class="content-state content-state-network-error">
+                <div class="content-state-icon"><i class="fas fa-wifi"></i></div>
+                <h2>Content Could Not Be Loaded</h2>
+                <p>The documentation server could not be reached. Check your connection and try again.</p>
+                <p class="content-state-details">${utils.escapeHtml(error.message || String(error))}</p>
+                <div class="content-state-actions">
+                    ${canRetry ? '<button class="btn primary content-state-retry"><i class="fas fa-redo"></i> Retry</button>' : ''}
+                    <a class="btn secondary" href="${utils.escapeHtml(sourceUrl)}" target="_blank" rel="noopener noreferrer"><i class="fas fa-external-link-alt"></i> Open source file</a>
+                </div>
+            </div>
+        `;
+    }
+
+    static createDraftContent() {
+        return `
+            <div class="content-state content-state-draft">
+                <div class="content-state-icon"><i class="fas fa-pencil-alt"></i></div>
+                <h2>Coming Soon</h2>
+                <p>This page is still being written and has not been published yet.</p>
+                <p>Try the search box in the sidebar to find related documentation.</p>
+            </div>
+        `;
+    }
+
+    static createUnderConstructionContent() {
+        return `
+            <div class="under-construction">
+                <div class="construction-icon">
+                    <svg width="64" height="64" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                        <path d="M12 2L13.09 8.26L20 9L13.09 9.74L12 16L10.91 9.74L4 9L10.91 8.26L12 2Z" fill="#FFA500"/>
+                        <path d="M19 14L20.09 20.26L27 21L20.09 21.74L19 28L17.91 21.74L11 21L17.91 20.26L19 14Z" fill="#FFA500"/>
+                        <path d="M5 14L6.09 20.26L13 21L6.09 21.74L5 28L3.91 21.74L-3 21L3.91 20.26L5 14Z" fill="#FFA500"/>
+                        <path d="M12 2L13.09 8.26L20 9L13.09 9.74L12 16L10.91 9.74L4 9L10.91 8.26L12 2Z" fill="#FFA500" opacity="0.3"/>
+                        <path d="M19 14L20.09 20.26L27 21L20.09 21.74L19 28L17.91 21.74L11 21L17.91 20.26L19 14Z" fill="#FFA500" opacity="0.3"/>
+                        <path d="M5 14L6.09 20.26L13 21L6.09 21.74L5 28L3.91 21.74L-3 21L3.91 20.26L5 14Z" fill="#FFA500" opacity="0.3"/>
+                    </svg>
+                </div>
+                <h2>🚧 Under Construction 🚧</h2>
+                <p>This section is currently being developed and will be available soon.</p>
+                <p>Please check back later for updates.</p>
+            </div>
+        `;
+    }
+
+    static highlightCodeBlocks(container) {
+        try {
+            utils.log('Highlighting code blocks');
+            ThemeManager.applyCodeTheme();
+            container.querySelectorAll('pre code').forEach((block) => {
+                if (!CodeBlockEnhancer.isRenderedBlock(block)) hljs.highlightElement(block);
+            });
+        } catch (error) {
+            utils.error('Error in highlightCodeBlocks:', error);
+        }
+    }
+}
+
+// Renders ```mermaid blocks to SVG. The library is only downloaded for pages that contain a diagram.
+class DiagramRenderer {
+    static libraryPromise = null;
+    static diagramCount = 0;
+
+    static async render(container) {
+        const blocks = Array.from(container.querySelectorAll(DIAGRAM_OPTIONS.CODE_BLOCKS));
+        if (blocks.length === 0) return;
+
+        let mermaid;
+        try {
+            mermaid = await this.loadLibrary();
+        } catch (error) {
+            utils.error('Error loading diagram library:', error);
+            blocks.forEach(block => this.showFallback(block));
+            return;
+        }
+
+        // Colours are read on every render so new diagrams follow the current light or dark theme
+        mermaid.initialize({ startOnLoad: false, securityLevel: 'strict', ...this.getTheme() });
+        for (const block of blocks) {
+            const source = block.textContent;
+            const id = `mermaid-diagram-${++this.diagramCount}`;
+            try {
+                const { svg } = await mermaid.render(id, source);
+                const diagram = utils.createElement('div', 'mermaid-diagram', svg);
+                diagram.setAttribute('role', 'img');
+                diagram.setAttribute('aria-label', source.trim().split('\n')[0]);
+                block.closest('pre').replaceWith(diagram);
+            } catch (error) {
+                utils.error('Error rendering diagram:', error);
+                // Mermaid leaves its error graphic attached to the body
+                const leftover = document.getElementById(`d${id}`);
+                if (leftover) leftover.remove();
+                this.showFallback(block);
+            }
+        }
+    }
+
+    static loadLibrary() {
+        if (!this.libraryPromise) {
+            this.libraryPromise = new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = DIAGRAM_OPTIONS.LIBRARY_URL;
+                script.async = true;
+                script.onload = () => resolve(window.mermaid);
+                script.onerror = () => {
+                    // Allow a later page to try again, e.g. once the connection is back
+                    this.libraryPromise = null;
+                    reject(new Error(`Failed to load ${DIAGRAM_OPTIONS.LIBRARY_URL}`));
+                };
+                document.head.appendChild(script);
+            });
+        }
+        return this.libraryPromise;
+    }
+
+    // Diagram colours follow the site palette defined in css/style.css
+    static getTheme() {
+        const color = (name, fallback) => this.getColor(name, fallback);
+        return {
+            theme: 'base',
+            fontFamily: 'Inter, sans-serif',
+            themeVariables: {
+                primaryColor: color('--lighter-background', '#edf2f7'),
+                primaryBorderColor: color('--primary-color', '#0066cc'),
+                primaryTextColor: color('--text-color', '#2d3748'),
+                secondaryColor: color('--light-background', '#f7fafc'),
+                tertiaryColor: color('--background-color', '#ffffff'),
+                lineColor: color('--primary-dark', '#004999'),
+                textColor: color('--text-color', '#2d3748'),
+                noteBkgColor: color('--primary-color-light', '#e6f0fa'),
+                noteBorderColor: color('--accent-color', '#00aaff')
+            }
+        };
+    }
+
+    static getColor(name, fallback) {
+        return getComputedStyle(document.documentElement).getPropertyValue(name).trim() || fallback;
+    }
+
+    // Keep the diagram source readable when it cannot be drawn
+    static showFallback(block) {
+        const pre = block.closest('pre');
+        if (pre.classList.contains('mermaid-fallback')) return;
+        pre.classList.add('mermaid-fallback');
+        const notice = utils.createElement('p', 'mermaid-fallback-notice',
+            '<i class="fas fa-exclamation-triangle"></i> This diagram could not be rendered. Showing its source instead.');
+        pre.before(notice);
+    }
+}
+
+// HTML sanitizer for rendered markdown. The HTML is parsed in an inert document, so nothing in it
+// runs or loads until the allowlisted result is imported into the page.
+class HtmlSanitizer {
+    // resolveUrl rewrites href/src values before they are checked, while the images are still inert
+    static sanitize(html, profileName = 'remote', { resolveUrl = null } = {}) {
+        const profile = { ...SANITIZER_OPTIONS.PROFILES[profileName], resolveUrl };
+        const inertDocument = document.implementation.createHTMLDocument('');
+        inertDocument.body.innerHTML = html;
+        this.sanitizeChildren(inertDocument.body, profile);
+
+        const fragment = document.createDocumentFragment();
+        Array.from(inertDocument.body.childNodes).forEach(node => {
+            fragment.appendChild(document.importNode(node, true));
+        });
+        return fragment;
+    }
+
+    static sanitizeChildren(parent, profile) {
+        Array.from(parent.childNodes).forEach(node => {
+            if (node.nodeType === Node.TEXT_NODE) return;
+
+            if (node.nodeType !== Node.ELEMENT_NODE) {
+                node.remove(); // Comments, processing instructions
+                return;
+            }
+
+            const tag = node.tagName.toLowerCase();
+            if (SANITIZER_OPTIONS.DROPPED_TAGS.includes(tag)) {
+                node.remove();
+                return;
+            }
+
+            this.sanitizeChildren(node, profile);
+            if (!SANITIZER_OPTIONS.TAGS.includes(tag)) {
+                node.replaceWith(...node.childNodes);
+                return;
+            }
+            this.sanitizeAttributes(node, tag, profile);
+        });
+    }
+
+    static sanitizeAttributes(element, tag, profile) {
+        const allowed = new Set([
+            ...SANITIZER_OPTIONS.ATTRIBUTES['*'],
+            ...(SANITIZER_OPTIONS.ATTRIBUTES[tag] || []),
+            ...(profile.attributes['*'] || []),
+            ...(profile.attributes[tag] || [])
+        ]);
+
+        Array.from(element.attributes).forEach(attribute => {
+            const name = attribute.name.toLowerCase();
+            if (name === 'class' && !allowed.has('class')) {
+                this.keepOwnClasses(element);
+            } else if (!allowed.has(name)) {
+                element.removeAttribute(attribute.name);
+            } else if (SANITIZER_OPTIONS.URL_ATTRIBUTES.includes(name)) {
+                const value = profile.resolveUrl ? profile.resolveUrl(attribute.value) : attribute.value;
+                if (!this.isSafeUrl(value, tag, profile)) {
+                    utils.log('Removing unsafe URL from rendered content:', value);
+                    element.removeAttribute(attribute.name);
+                } else if (value !== attribute.value) {
+                    element.setAttribute(attribute.name, value);
+                }
+            }
+        });
+
+        // Only read-only task list checkboxes
+        if (tag === 'input') {
+            if (element.getAttribute('type') !== 'checkbox') {
+                element.remove();
+                return;
+            }
+            element.setAttribute('disabled', '');
+        }
+    }
+
+    static keepOwnClasses(element) {
+        const classes = Array.from(element.classList).filter(name => SANITIZER_OPTIONS.OWN_CLASSES.test(name));
+        if (classes.length > 0) {
+            element.className = classes.join(' ');
+        } else {
+            element.removeAttribute('class');
+        }
+    }
+
+    static isSafeUrl(value, tag, profile) {
+        // Browsers ignore whitespace and control characters inside the scheme ("java\tscript:")
+        const normalized = value.replace(/[\u0000- \u007F]+/g, '').toLowerCase();
+        const scheme = normalized.match(/^([a-z][a-z0-9+.-]*):/);
+        if (!scheme) {
+            return true; // Relative URL or fragment
+        }
+
+        if (tag === 'img') {
+            if (scheme[1] === 'data') {
+                return profile.dataImages && /^data:image\/(png|gif|jpe?g|webp);/.test(normalized);
+            }
+            return profile.imageSchemes.includes(`${scheme[1]}:`);
+        }
+        return profile.linkSchemes.includes(`${scheme[1]}:`);
+    }
+}
+
+// Callout blocks. Container syntax, with an optional title:
+//   :::warning Keep secrets out of git
+//   Any **markdown**, including code blocks.
+//   :::
+// and GitHub alerts, as used by the module READMEs: "> [!NOTE]" on the first line of a blockquote.
+class Callouts {
+    static OPENING = /^:::[ \t]*(\w+)[ \t]*([^\n]*)\n/;
+
+    static extension = {
+        name: 'callout',
+        level: 'block',
+        start(src) {
+            const index = src.search(/^:::/m);
+            return index < 0 ? undefined : index;
+        },
+        tokenizer(src) {
+            const block = Callouts.readBlock(src);
+            if (!block || !CALLOUT_TYPES[block.type.toLowerCase()]) return undefined;
+            return {
+                type: 'callout',
+                raw: block.raw,
+                calloutType: block.type.toLowerCase(),
+                title: block.title.trim(),
+                tokens: this.lexer.blockTokens(block.body, [])
+            };
+        },
+        // role="note" is added by enhance(), since the sanitizer does not keep role attributes
+        renderer(token) {
+            return `<div class="callout callout-${token.calloutType}">${Callouts.renderTitle(token.calloutType, token.title)}${this.parser.parse(token.tokens)}</div>`;
+        }
+    };
+
+    // The closing ::: is found line by line: fenced code is skipped and nested callouts are counted,
+    // so a ::: inside either does not end the callout early
+    static readBlock(src) {
+        const opening = this.OPENING.exec(src);
+        if (!opening) return null;
+
+        let depth = 1;
+        let fence = null;
+        let index = opening[0].length;
+        while (index < src.length) {
+            const newline = src.indexOf('\n', index);
+            const lineEnd = newline < 0 ? src.length : newline;
+            const line = src.slice(index, lineEnd);
+            if (fence) {
+                const closing = line.match(/^ {0,3}(`{3,}|~{3,})[ \t]*$/);
+                if (closing && closing[1][0] === fence[0] && closing[1].length >= fence.length) fence = null;
+            } else if (/^ {0,3}(`{3,}|~{3,})/.test(line)) {
+                fence = line.trim().match(/^(`+|~+)/)[1];
+            } else if (/^:::[ \t]*\w/.test(line)) {
+                depth++;
+            } else if (/^:::[ \t]*$/.test(line) && --depth === 0) {
+                let end = lineEnd;
+                while (src[end] === '\n') end++;
+                return {
+                    type: opening[1],
+                    title: opening[2],
+                    body: src.slice(opening[0].length, Math.max(opening[0].length, index - 1)),
+                    raw: src.slice(0, end)
+                };
+            }
+            index = lineEnd + 1;
+        }
+        return null;
+    }
+
+    // Runs on sanitized content: turns > [!NOTE] blockquotes into callouts and marks every callout as a note
+    static enhance(container) {
+        this.transformBlockquotes(container);
+        container.querySelectorAll('div.callout').forEach(callout => callout.setAttribute('role', 'note'));
+    }
+
+    static renderTitle(type, title) {
+        const callout = CALLOUT_TYPES[type];
+        return `<p class="callout-title"><i class="${callout.icon}"></i> ${utils.escapeHtml(title || callout.title)}</p>`;
+    }
+
+    static transformBlockquotes(container) {
+        container.querySelectorAll('blockquote').forEach(blockquote => {
+            const firstParagraph = blockquote.firstElementChild;
+            if (!firstParagraph || firstParagraph.tagName !== 'P') return;
+
+            const marker = firstParagraph.innerHTML.match(/^\s*\[!(\w+)\][ \t]*(?:<br>|\n)?/);
+            const type = marker ? marker[1].toLowerCase() : null;
+            if (!type || !CALLOUT_TYPES[type]) return;
+
+            firstParagraph.innerHTML = firstParagraph.innerHTML.slice(marker[0].length);
+            if (!firstParagraph.innerHTML.trim()) {
+                firstParagraph.remove();
+            }
+
+            const callout = utils.createElement('div', `callout callout-${type}`, this.renderTitle(type));
+            while (blockquote.firstChild) {
+                callout.appendChild(blockquote.firstChild);
+            }
+            blockquote.replaceWith(callout);
+        });
+    }
+}
+
+// Code block toolbar: language badge, optional filename, copy button and highlighted lines.
+// Extra options come from the fence info string, e.g. ```java title="UserServiceImpl.java" {3-5}
+class CodeBlockEnhancer {
+    // Fence options are kept on the <pre>; the language is recorded before highlight.js adds guessed ones
+    static renderCode({ text, lang }) {
+        const info = this.parseInfoString(lang);
+        const attributes = [];
+        if (info.language) attributes.push(`data-language="${utils.escapeHtml(info.language)}"`);
+        if (info.title) attributes.push(`data-title="${utils.escapeHtml(info.title)}"`);
+        if (info.tab) attributes.push(`data-tab="${utils.escapeHtml(info.tab)}"`);
+        if (info.lines.length > 0) attributes.push(`data-lines="${info.lines.join(',')}"`);
+        const languageClass = info.language ? ` class="language-${utils.escapeHtml(info.language)}"` : '';
+        return `<pre${attributes.length > 0 ? ' ' + attributes.join(' ') : ''}><code${languageClass}>${utils.escapeHtml(text)}</code></pre>\n`;
+    }
+
+    static parseInfoString(infoString) {
+        const info = { language: '', title: '', tab: '', lines: [] };
+        let rest = (infoString || '').trim();
+
+        ['title', 'tab'].forEach(name => {
+            const option = rest.match(new RegExp(`\\b${name}=(?:"([^"]*)"|'([^']*)'|(\\S+))`));
+            if (option) {
+                info[name] = option[1] || option[2] || option[3];
+                rest = rest.replace(option[0], '');
+            }
+        });
+
+        const ranges = rest.match(/\{([\d,\s-]+)\}/);
+        if (ranges) {
+            info.lines = this.parseLineRanges(ranges[1]);
+            rest = rest.replace(ranges[0], '');
+        }
+
+        info.language = rest.trim().split(/\s+/)[0].toLowerCase();
+        return info;
+    }
+
+    // "1,3-5" becomes [1, 3, 4, 5]
+    static parseLineRanges(value) {
+        const lines = new Set();
+        value.split(',').forEach(part => {
+            const [start, end] = part.trim().split('-').map(Number);
+            if (!start) return;
+            for (let line = start; line <= (end || start); line++) {
+                lines.add(line);
+            }
+        });
+        return Array.from(lines).sort((a, b) => a - b);
+    }
+
+    // Mermaid diagrams (DiagramRenderer), yo-water forms (CommandBuilder) and water-mesh graphs (MeshVisualizer)
+    static isRenderedBlock(code) {
+        return ['mermaid', COMMAND_BUILDER_OPTIONS.EMBED_LANGUAGE, WATER_MESH_OPTIONS.EMBED_LANGUAGE]
+            .some(language => code.classList.contains(`language-${language}`));
+    }
+
+    static enhance(container) {
+        container.querySelectorAll('pre > code').forEach(code => {
+            const pre = code.parentElement;
+            const language = pre.dataset.language || '';
+            if (this.isRenderedBlock(code) || pre.parentElement.classList.contains('code-block')) return;
+
+            if (pre.dataset.lines) {
+                this.highlightLines(code, pre.dataset.lines.split(',').map(Number));
+            }
+
+            const block = utils.createElement('div', 'code-block');
+            const header = utils.createElement('div', 'code-block-header');
+            const title = utils.createElement('span', 'code-block-title');
+            title.textContent = pre.dataset.title || '';
+            header.appendChild(title);
+
+            if (language) {
+                const badge = utils.createElement('span', 'code-block-language');
+                badge.textContent = CODE_BLOCK_OPTIONS.LANGUAGE_LABELS[language] || language;
+                header.appendChild(badge);
+            }
+
+            const copyButton = utils.createElement('button', 'code-block-copy', '<i class="far fa-copy"></i> <span>Copy</span>');
+            copyButton.type = 'button';
+            copyButton.setAttribute('aria-label', 'Copy code to clipboard');
+            copyButton.addEventListener('click', () => this.copyCode(copyButton, code, language));
+            header.appendChild(copyButton);
+
+            pre.before(block);
+            block.appendChild(header);
+            block.appendChild(pre);
+        });
+    }
+
+    // Highlighted markup can span several lines, so open spans are closed and reopened around each line
+    static highlightLines(code, lineNumbers) {
+        const lines = [];
+        const openSpans = [];
+        let current = '';
+        code.innerHTML.split(/(<span[^>]*>|<\/span>|\n)/).forEach(part => {
+            if (part === '\n') {
+                lines.push(current + '</span>'.repeat(openSpans.length));
+                current = openSpans.join('');
+            } else if (part.startsWith('<span')) {
+                openSpans.push(part);
+                current += part;
+            } else if (part === '</span>') {
+                openSpans.pop();
+                current += part;
+            } else {
+                current += part;
+            }
+        });
+        lines.push(current);
+
+        code.innerHTML = lines.map((line, index) => {
+            const className = lineNumbers.includes(index + 1) ? 'code-line code-line-highlighted' : 'code-line';
+            return `<span class="${className}">${line}</span>`;
+        }).join('\n');
+    }
+
+    static getCopyText(code, language) {
+        const text = code.textContent;
+        if (!CODE_BLOCK_OPTIONS.SHELL_LANGUAGES.includes(language)) {
+            return text;
+        }
+        // Shell examples show a "$ " prompt that must not end up in the reader's terminal
+        return text.split('\n').map(line => line.replace(/^\s*\$ /, '')).join('\n');
+    }
+
+    static async copyCode(button, code, language) {
+        const label = button.querySelector('span');
+        const icon = button.querySelector('i');
+        try {
+            await this.writeClipboard(this.getCopyText(code, language));
+            label.textContent = 'Copied!';
+            icon.className = 'fas fa-check';
+            button.classList.add('copied');
+        } catch (error) {
+            utils.error('Error copying code:', error);
+            label.textContent = 'Copy failed';
+            icon.className = 'fas fa-exclamation-triangle';
+        }
+
+        clearTimeout(button.feedbackTimer);
+        button.feedbackTimer = setTimeout(() => {
+            label.textContent = 'Copy';
+            icon.className = 'far fa-copy';
+            button.classList.remove('copied');
+        }, CODE_BLOCK_OPTIONS.COPY_FEEDBACK_MS);
+    }
+
+    static async writeClipboard(text) {
+        if (navigator.clipboard && window.isSecureContext) {
+            return navigator.clipboard.writeText(text);
+        }
+
+        // Plain http (e.g. a LAN preview server) has no Clipboard API
+        const textarea = utils.createElement('textarea', 'code-block-clipboard');
+        textarea.value = text;
+        textarea.setAttribute('readonly', '');
+        document.body.appendChild(textarea);
+        textarea.select();
+        const copied = document.execCommand('copy');
+        textarea.remove();
+        if (!copied) {
+            throw new Error('Copy command was rejected');
+        }
+    }
+}
+
+// Consecutive fences with a tab="..." option become one tab group, e.g. Spring / OSGi / Quarkus.
+// Choosing a tab selects the same label in every group, now and on later pages.
+class CodeTabs {
+    static groupCount = 0;
+    static storageListener = false;
+
+    static group(container) {
+        const groups = [];
+        container.querySelectorAll('.code-block').forEach(block => {
+            if (!this.getLabel(block)) return;
+            const previousGroup = groups[groups.length - 1];
+            if (previousGroup && previousGroup[previousGroup.length - 1].nextElementSibling === block) {
+                previousGroup.push(block);
+            } else {
+                groups.push([block]);
+            }
+        });
+
+        groups.filter(blocks => blocks.length > 1).forEach(blocks => this.createTabGroup(blocks));
+        this.applyPreferences(container);
+
+        if (!this.storageListener) {
+            // Keep other open documentation tabs in sync
+            window.addEventListener('storage', (e) => {
+                if (e.key === CODE_TABS_OPTIONS.STORAGE_KEY) {
+                    this.applyPreferences(document);
+                }
+            });
+            this.storageListener = true;
+        }
+    }
+
+    static getLabel(block) {
+        const pre = block.querySelector('pre');
+        return pre ? pre.dataset.tab || '' : '';
+    }
+
+    static createTabGroup(blocks) {
+        const groupId = `code-tabs-${++this.groupCount}`;
+        const tabGroup = utils.createElement('div', 'code-tabs');
+        const tabList = utils.createElement('div', 'code-tabs-list');
+        tabList.setAttribute('role', 'tablist');
+
+        blocks[0].before(tabGroup);
+        tabGroup.appendChild(tabList);
+
+        blocks.forEach((block, index) => {
+            const label = this.getLabel(block);
+            const tab = utils.createElement('button', 'code-tabs-tab');
+            tab.type = 'button';
+            tab.textContent = label;
+            tab.id = `${groupId}-tab-${index}`;
+            tab.dataset.tab = label.toLowerCase();
+            tab.setAttribute('role', 'tab');
+            tab.setAttribute('aria-controls', `${groupId}-panel-${index}`);
+            tab.addEventListener('click', () => this.choose(tab.dataset.tab));
+            tab.addEventListener('keydown', (e) => this.handleKeydown(e, tabList));
+            tabList.appendChild(tab);
+
+            block.id = `${groupId}-panel-${index}`;
+            block.dataset.tab = label.toLowerCase();
+            block.setAttribute('role', 'tabpanel');
+            block.setAttribute('aria-labelledby', tab.id);
+            tabGroup.appendChild(block);
+        });
+
+        this.select(tabGroup, blocks[0].dataset.tab);
+    }
+
+    static select(tabGroup, label) {
+        tabGroup.querySelectorAll('.code-tabs-tab').forEach(tab => {
+            const selected = tab.dataset.tab === label;
+            tab.classList.toggle(CLASSES.ACTIVE, selected);
+            tab.setAttribute('aria-selected', String(selected));
+            tab.tabIndex = selected ? 0 : -1;
+        });
+        tabGroup.querySelectorAll(':scope > .code-block').forEach(panel => {
+            panel.hidden = panel.dataset.tab !== label;
+        });
+    }
+
+    static choose(label) {
+        // Most recent choice first, so "Maven" does not forget that the reader also picked "OSGi"
+        const preferences = [label, ...this.readPreferences().filter(preference => preference !== label)]
+            .slice(0, CODE_TABS_OPTIONS.MAX_PREFERENCES);
+        try {
+            localStorage.setItem(CODE_TABS_OPTIONS.STORAGE_KEY, JSON.stringify(preferences));
+        } catch (error) {
+            utils.log('Could not store tab preference:', error.message);
+        }
+        this.applyPreferences(document, preferences);
+    }
+
+    static readPreferences() {
+        try {
+            return JSON.parse(localStorage.getItem(CODE_TABS_OPTIONS.STORAGE_KEY)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    static applyPreferences(root, preferences = this.readPreferences()) {
+        root.querySelectorAll('.code-tabs').forEach(tabGroup => {
+            const labels = Array.from(tabGroup.querySelectorAll('.code-tabs-tab'), tab => tab.dataset.tab);
+            const preferred = preferences.find(preference => labels.includes(preference));
+            if (preferred) {
+                this.select(tabGroup, preferred);
+            }
+        });
+    }
+
+    static handleKeydown(e, tabList) {
+        if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+        e.preventDefault();
+        const tabs = Array.from(tabList.querySelectorAll('.code-tabs-tab'));
+        const step = e.key === 'ArrowRight' ? 1 : -1;
+        const next = tabs[(tabs.indexOf(e.currentTarget) + step + tabs.length) % tabs.length];
+        next.focus();
+        this.choose(next.dataset.tab);
+    }
+}
+
+// yo water command builder: project, runtime, entities and options in; generator commands and a CLAUDE.md prompt out.
+// Mounted on [data-command-builder] elements and on ```yo-water blocks, whose "key: value" lines are its defaults.
+class CommandBuilder {
+    static instanceCount = 0;
+
+    constructor(root, defaults = {}) {
+        this.root = root;
+        this.id = ++CommandBuilder.instanceCount;
+        // A shared link wins over the page's defaults
+        this.state = CommandBuilder.normalize({ ...defaults, ...CommandBuilder.readUrlState() });
+        this.render();
+    }
+
+    // Replaces each ```yo-water block with a builder; displayContent skips this for module READMEs
+    static embed(container) {
+        container.querySelectorAll(`pre > code.language-${COMMAND_BUILDER_OPTIONS.EMBED_LANGUAGE}`).forEach(code => {
+            const root = utils.createElement('div', 'command-builder');
+            code.parentElement.replaceWith(root);
+            new CommandBuilder(root, this.parseDefaults(code.textContent));
+        });
+    }
+
+    // Same syntax as front matter, e.g. "project-name: ProductCatalog" and "- Product(name:String)" list items
+    static parseDefaults(text) {
+        return FrontMatter.parse(`---\n${text.trim()}\n---\n`).data;
+    }
+
+    static readUrlState() {
+        const params = new URLSearchParams(window.location.search);
+        const values = {};
+        Object.entries(COMMAND_BUILDER_OPTIONS.URL_PARAMETERS).forEach(([key, name]) => {
+            if (key === 'entities') {
+                // A lone empty yo-entity= means "no entities", which must not fall back to the defaults
+                if (params.has(name)) values.entities = params.getAll(name).filter(Boolean);
+            } else if (params.has(name)) {
+                values[key] = params.get(name);
+            }
+        });
+        return values;
+    }
+
+    static normalize(values) {
+        const { DEFAULTS, OPTIONS, RUNTIMES } = COMMAND_BUILDER_OPTIONS;
+        const state = { ...DEFAULTS };
+        Object.keys(DEFAULTS).forEach(key => {
+            if (values[key] !== undefined && values[key] !== '') state[key] = values[key];
+        });
+
+        OPTIONS.forEach(({ key }) => {
+            state[key] = state[key] === true || state[key] === 'true' || state[key] === '1';
+        });
+        if (!RUNTIMES.some(runtime => runtime.id === state.runtime)) {
+            state.runtime = DEFAULTS.runtime;
+        }
+        state.projectName = String(state.projectName);
+        state.groupId = String(state.groupId);
+        state.entities = (Array.isArray(state.entities) ? state.entities : [state.entities])
+            .map(spec => this.parseEntity(spec));
+        return state;
+    }
+
+    // "Product(name:String, price:double)"; fields stay as typed so the form shows them unchanged
+    static parseEntity(spec) {
+        const match = String(spec).trim().match(/^([^(]*)(?:\((.*)\))?$/);
+        return match ? { name: match[1].trim(), fields: (match[2] || '').trim() } : { name: String(spec), fields: '' };
+    }
+
+    // "name, price:double": a field without a type is a String
+    static parseFields(text) {
+        return text.split(',').map(field => field.trim()).filter(Boolean).map(field => {
+            const [name, type] = field.split(':').map(part => part.trim());
+            return { name, type: type || 'String' };
+        });
+    }
+
+    static formatEntity(entity) {
+        return entity.fields ? `${entity.name}(${entity.fields})` : entity.name;
+    }
+
+    static entityPackage(state, entity) {
+        return `${state.groupId}.${entity.name.toLowerCase()}`;
+    }
+
+    render() {
+        const { state } = this;
+        const escape = utils.escapeHtml;
+        this.runtimeName = `command-builder-runtime-${this.id}`;
+        this.root.classList.add('command-builder');
+        this.root.innerHTML = `
+            <form class="command-builder-form" novalidate>
+                <div class="command-builder-fields">
+                    <label class="command-builder-field">
+                        <span>Project name</span>
+                        <input type="text" name="projectName" value="${escape(state.projectName)}" spellcheck="false" autocomplete="off">
+                    </label>
+                    <label class="command-builder-field">
+                        <span>Group ID</span>
+                        <input type="text" name="groupId" value="${escape(state.groupId)}" spellcheck="false" autocomplete="off">
+                    </label>
+                </div>
+                <fieldset class="command-builder-group">
+                    <legend>Runtime</legend>
+                    <div class="command-builder-choices">
+                        ${COMMAND_BUILDER_OPTIONS.RUNTIMES.map(runtime => `
+                            <label class="command-builder-choice">
+                                <input type="radio" name="${this.runtimeName}" value="${runtime.id}"${runtime.id === state.runtime ? ' checked' : ''}> ${escape(runtime.label)}
+                            </label>
+                        `).join('')}
+                    </div>
+                </fieldset>
+                <fieldset class="command-builder-group">
+                    <legend>Entities <span class="command-builder-hint">fields as name:Type, separated by commas</span></legend>
+                    <div class="command-builder-entities"></div>
+                    <button type="button" class="command-builder-add"><i class="fas fa-plus"></i> Add entity</button>
+                </fieldset>
+                <fieldset class="command-builder-group">
+                    <legend>Options</legend>
+                    <div class="command-builder-choices">
+                        ${COMMAND_BUILDER_OPTIONS.OPTIONS.map(option => `
+                            <label class="command-builder-choice" title="${escape(option.hint)}">
+                                <input type="checkbox" name="${option.key}"${state[option.key] ? ' checked' : ''}> ${escape(option.label)}
+                            </label>
+                        `).join('')}
+                    </div>
+                </fieldset>
+            </form>
+            <div class="command-builder-output"></div>
+        `;
+
+        this.form = this.root.querySelector('.command-builder-form');
+        this.entityList = this.root.querySelector('.command-builder-entities');
+        this.output = this.root.querySelector('.command-builder-output');
+
+        this.form.addEventListener('submit', (e) => e.preventDefault());
+        this.form.addEventListener('input', () => this.handleChange());
+        this.form.addEventListener('change', () => this.handleChange());
+        this.root.querySelector('.command-builder-add').addEventListener('click', () => this.addEntity());
+        this.entityList.addEventListener('click', (e) => {
+            const button = e.target.closest('.command-builder-remove');
+            if (button) this.removeEntity(Number(button.dataset.index));
+        });
+
+        this.renderEntities();
+        this.update();
+    }
+
+    renderEntities() {
+        const escape = utils.escapeHtml;
+        this.entityList.innerHTML = this.state.entities.map((entity, index) => `
+            <div class="command-builder-entity">
+                <input type="text" name="entityName" value="${escape(entity.name)}" placeholder="Product" aria-label="Entity ${index + 1} name" spellcheck="false" autocomplete="off">
+                <input type="text" name="entityFields" value="${escape(entity.fields)}" placeholder="name:String, price:double" aria-label="Entity ${index + 1} fields" spellcheck="false" autocomplete="off">
+                <button type="button" class="command-builder-remove" data-index="${index}" aria-label="Remove entity ${index + 1}" title="Remove entity"><i class="fas fa-times"></i></button>
+            </div>
+        `).join('');
+    }
+
+    addEntity() {
+        this.state.entities.push({ name: '', fields: '' });
+        this.renderEntities();
+        this.entityList.lastElementChild.querySelector('input').focus();
+        this.update();
+    }
+
+    removeEntity(index) {
+        this.state.entities.splice(index, 1);
+        this.renderEntities();
+        this.update();
+    }
+
+    handleChange() {
+        const elements = this.form.elements;
+        const runtime = this.form.querySelector(`input[name="${this.runtimeName}"]:checked`);
+        this.state.projectName = elements.projectName.value.trim();
+        this.state.groupId = elements.groupId.value.trim();
+        this.state.runtime = runtime ? runtime.value : COMMAND_BUILDER_OPTIONS.DEFAULTS.runtime;
+        this.state.entities = Array.from(this.entityList.querySelectorAll('.command-builder-entity')).map(row => ({
+            name: row.querySelector('[name="entityName"]').value.trim(),
+            fields: row.querySelector('[name="entityFields"]').value.trim()
+        }));
+        COMMAND_BUILDER_OPTIONS.OPTIONS.forEach(({ key }) => {
+            this.state[key] = elements[key].checked;
+        });
+        this.update();
+    }
+
+    // Answers end up in shell commands, so anything outside these patterns is refused rather than quoted
+    validate() {
+        const { PATTERNS } = COMMAND_BUILDER_OPTIONS;
+        const errors = [];
+        const check = (input, valid, message) => {
+            input.setAttribute('aria-invalid', valid ? 'false' : 'true');
+            if (!valid) errors.push(message);
+        };
+
+        check(this.form.elements.projectName, PATTERNS.projectName.test(this.state.projectName),
+            'Project name: letters, digits and hyphens, starting with a letter.');
+        check(this.form.elements.groupId, PATTERNS.groupId.test(this.state.groupId),
+            'Group ID: a lowercase package name such as com.mycompany.');
+        this.entityList.querySelectorAll('.command-builder-entity').forEach((row, index) => {
+            const entity = this.state.entities[index];
+            const label = entity.name || `Entity ${index + 1}`;
+            check(row.querySelector('[name="entityName"]'), PATTERNS.entityName.test(entity.name),
+                `${label}: the name must be in PascalCase, such as Product.`);
+            check(row.querySelector('[name="entityFields"]'), CommandBuilder.parseFields(entity.fields)
+                .every(field => PATTERNS.fieldName.test(field.name) && PATTERNS.fieldType.test(field.type)),
+                `${label}: fields must look like name:String, price:double.`);
+        });
+        return errors;
+    }
+
+    update() {
+        const errors = this.validate();
+        if (errors.length > 0) {
+            this.output.innerHTML = `
+                <div class="command-builder-errors" role="alert">
+                    <p><i class="fas fa-exclamation-triangle"></i> Fix these answers to generate the commands:</p>
+                    <ul>${errors.map(error => `<li>${utils.escapeHtml(error)}</li>`).join('')}</ul>
+                </div>
+            `;
+            return;
+        }
+
+        this.output.innerHTML = CommandBuilder.generate(this.state).map(block => `
+            <pre data-language="${block.language}" data-title="${utils.escapeHtml(block.title)}"><code class="language-${block.language}">${utils.escapeHtml(block.text)}</code></pre>
+        `).join('') + `
+            <div class="command-builder-actions">
+                <button type="button" class="command-builder-share"><i class="fas fa-link"></i> <span>Copy link to these answers</span></button>
+            </div>
+        `;
+        if (window.hljs) {
+            this.output.querySelectorAll('pre code').forEach(code => hljs.highlightElement(code));
+        }
+        CodeBlockEnhancer.enhance(this.output);
+
+        const shareButton = this.output.querySelector('.command-builder-share');
+        shareButton.addEventListener('click', () => this.copyShareUrl(shareButton));
+    }
+
+    static generate(state) {
+        const command = (name, options) => [`yo water:${name}`, '--inline', ...options].join(' \\\n  ');
+        const blocks = [{
+            title: '1. Scaffold the project',
+            language: 'bash',
+            text: command('newProject', [
+                `--projectName ${state.projectName}`,
+                '--applicationType service',
+                `--runtime ${state.runtime}`,
+                `--groupId ${state.groupId}`
+            ])
+        }];
+
+        if (state.entities.length > 0) {
+            blocks.push({
+                title: state.entities.length === 1 ? '2. Add the entity' : '2. Add the entities',
+                language: 'bash',
+                text: state.entities.flatMap(entity => [
+                    command('entity', [`--entityName ${entity.name}`, `--entityPackage ${this.entityPackage(state, entity)}`]),
+                    ...(state.rest ? [command('rest', [`--entityName ${entity.name}`])] : [])
+                ]).join('\n\n')
+            });
+        }
+
+        blocks.push({
+            title: `${blocks.length + 1}. Build and test`,
+            language: 'bash',
+            text: `yo water:build \\\n  --projects ${state.projectName}`
+        });
+        blocks.push({ title: 'CLAUDE.md', language: 'markdown', text: this.createPrompt(state) });
+        return blocks;
+    }
+
+    // What the generator is not told on the command line (fields, roles, service mesh PINs) goes to Claude Code
+    static createPrompt(state) {
+        const runtime = COMMAND_BUILDER_OPTIONS.RUNTIMES.find(item => item.id === state.runtime);
+        const lines = [
+            `# ${state.projectName}`,
+            '',
+            `Water Framework service \`${state.projectName}\` (group \`${state.groupId}\`, runtime: ${runtime.label}).`,
+            `Scaffold with the \`yo water\` generator and build with \`yo water:build --projects ${state.projectName}\`, never \`./gradlew\` directly.`
+        ];
+
+        if (state.entities.length > 0) {
+            lines.push('', '## Entities', '');
+            state.entities.forEach(entity => {
+                const fields = this.parseFields(entity.fields).map(field => `${field.name}: ${field.type}`);
+                lines.push(`- \`${entity.name}\` in \`${this.entityPackage(state, entity)}\`${fields.length > 0 ? ` with ${fields.join(', ')}` : ''}`);
+            });
+        }
+
+        const tasks = [];
+        if (state.entities.some(entity => entity.fields)) {
+            tasks.push('Add the listed fields to each entity, with `@NotNull` and `@NoMalitiusCode` on user-supplied strings.');
+        }
+        if (state.permissions) {
+            state.entities.forEach(entity => {
+                const role = entity.name.charAt(0).toLowerCase() + entity.name.slice(1);
+                tasks.push(`Make \`${entity.name}\` a \`ProtectedEntity\` with \`@AccessControl\` on \`CrudActions\`: \`${role}Manager\` gets every action, \`${role}Viewer\` gets \`FIND\` and \`FIND_ALL\`.`);
+            });
+        }
+        if (state.rest) {
+            tasks.push('Cover every generated REST endpoint with Karate tests.');
+        }
+        if (state.serviceDiscovery) {
+            tasks.push('Declare the `standardPin \'service-discovery\'` input PIN in `waterDescriptor` so the service registers with ServiceDiscovery at startup.');
+        }
+        tasks.push('Keep test coverage at 80% or above.');
+        lines.push('', '## Tasks', '', ...tasks.map(task => `- ${task}`));
+        return lines.join('\n');
+    }
+
+    // The current page with the answers as yo-* parameters, e.g. documentation.html?page=getting-started&yo-project=...
+    getShareUrl() {
+        const names = COMMAND_BUILDER_OPTIONS.URL_PARAMETERS;
+        const url = new URL(window.location.href);
+        Object.values(names).forEach(name => url.searchParams.delete(name));
+        url.searchParams.set(names.projectName, this.state.projectName);
+        url.searchParams.set(names.groupId, this.state.groupId);
+        url.searchParams.set(names.runtime, this.state.runtime);
+        this.state.entities.forEach(entity => url.searchParams.append(names.entities, CommandBuilder.formatEntity(entity)));
+        if (this.state.entities.length === 0) url.searchParams.set(names.entities, '');
+        COMMAND_BUILDER_OPTIONS.OPTIONS.forEach(({ key }) => url.searchParams.set(names[key], this.state[key] ? '1' : '0'));
+        return url.href;
+    }
+
+    async copyShareUrl(button) {
+        const label = button.querySelector('span');
+        try {
+            await CodeBlockEnhancer.writeClipboard(this.getShareUrl());
+            label.textContent = 'Link copied!';
+        } catch (error) {
+            utils.error('Error copying link:', error);
+            label.textContent = 'Copy failed';
+        }
+        clearTimeout(button.feedbackTimer);
+        button.feedbackTimer = setTimeout(() => {
+            label.textContent = 'Copy link to these answers';
+        }, CODE_BLOCK_OPTIONS.COPY_FEEDBACK_MS);
+    }
+}
+
+// Service mesh wiring for ```water-mesh blocks: waterDescriptor blocks from build.gradle (or water-descriptor.json)
+// in, a graph of modules, PINs and inputs without a provider out. Drawn in the browser by DiagramRenderer.
+class MeshVisualizer {
+    static instanceCount = 0;
+
+    constructor(root, source) {
+        this.root = root;
+        this.id = ++MeshVisualizer.instanceCount;
+        this.initialSource = source.trim();
+        this.renderCount = 0;
+        this.render();
+    }
+
+    // Replaces each ```water-mesh block with a visualizer seeded with its descriptors; displayContent skips this for module READMEs
+    static embed(container) {
+        container.querySelectorAll(`pre > code.language-${WATER_MESH_OPTIONS.EMBED_LANGUAGE}`).forEach(code => {
+            const root = utils.createElement('div', 'mesh-visualizer');
+            code.parentElement.replaceWith(root);
+            new MeshVisualizer(root, code.textContent);
+        });
+    }
+
+    // JSON is what generateWaterDescriptor writes; anything else is read as the Gradle DSL
+    static parse(text) {
+        const source = text.trim();
+        if (!source) return [];
+        return /^[{[]/.test(source) ? this.parseJson(source) : this.parseDsl(source);
+    }
+
+    static parseJson(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`The JSON could not be read: ${error.message}`);
+        }
+
+        return (Array.isArray(data) ? data : [data]).map((descriptor, index) => {
+            if (!descriptor || typeof descriptor !== 'object') {
+                throw new Error(`Descriptor ${index + 1} is not an object.`);
+            }
+            const pins = list => (Array.isArray(list) ? list : [])
+                .map(pin => (typeof pin === 'string' ? pin : pin && pin.name))
+                .filter(Boolean);
+            return this.createModule(descriptor.moduleId, descriptor.displayName, pins(descriptor.outputs), pins(descriptor.inputs), index);
+        });
+    }
+
+    static parseDsl(text) {
+        const source = this.stripComments(text);
+        const modules = [];
+        const pattern = /\bwaterDescriptor\s*\{/g;
+        let match;
+        while ((match = pattern.exec(source)) !== null) {
+            const body = this.readBlock(source, pattern.lastIndex - 1);
+            if (body === null) {
+                throw new Error(`waterDescriptor block ${modules.length + 1} is missing its closing brace.`);
+            }
+            modules.push(this.createModule(
+                this.readAssignment(body, 'moduleId'),
+                this.readAssignment(body, 'displayName'),
+                this.readPins(body, 'output'),
+                this.readPins(body, 'input'),
+                modules.length
+            ));
+            pattern.lastIndex += body.length + 1;
+        }
+
+        if (modules.length === 0) {
+            throw new Error('No waterDescriptor { ... } block was found.');
+        }
+        return modules;
+    }
+
+    // "//" only starts a comment at the beginning of a line or after whitespace, so URLs in strings survive
+    static stripComments(text) {
+        return text
+            .replace(/\/\*[\s\S]*?\*\//g, '')
+            .replace(/(^|\s)\/\/.*$/gm, '$1');
+    }
+
+    // The text between the brace at openIndex and its match, or null when the block is not closed
+    static readBlock(source, openIndex) {
+        let depth = 0;
+        let quote = null;
+        for (let index = openIndex; index < source.length; index++) {
+            const char = source[index];
+            if (quote) {
+                if (char === '\\') index++;
+                else if (char === quote) quote = null;
+            } else if (char === '\'' || char === '"') {
+                quote = char;
+            } else if (char === '{') {
+                depth++;
+            } else if (char === '}' && --depth === 0) {
+                return source.slice(openIndex + 1, index);
+            }
+        }
+        return null;
+    }
+
+    static readAssignment(body, name) {
+        const match = body.match(new RegExp(`\\b${name}\\s*=\\s*(['"])(.*?)\\1`));
+        return match ? match[2].trim() : '';
+    }
+
+    // pin('id') {} and standardPin 'alias' (with or without parentheses) inside every output { } or input { } block
+    static readPins(body, blockName) {
+        const pins = [];
+        const pattern = new RegExp(`\\b${blockName}\\s*\\{`, 'g');
+        let match;
+        while ((match = pattern.exec(body)) !== null) {
+            const block = this.readBlock(body, pattern.lastIndex - 1) || '';
+            const pinPattern = /\b(standardPin|pin)\s*\(?\s*(['"])([^'"]*)\2/g;
+            let pin;
+            while ((pin = pinPattern.exec(block)) !== null) {
+                const name = pin[3].trim();
+                if (name) pins.push(pin[1] === 'standardPin' ? this.resolveStandardPin(name) : name);
+            }
+            pattern.lastIndex += block.length + 1;
+        }
+        return pins;
+    }
+
+    static resolveStandardPin(alias) {
+        const id = WATER_MESH_OPTIONS.STANDARD_PINS[alias];
+        if (!id) {
+            const known = Object.keys(WATER_MESH_OPTIONS.STANDARD_PINS).join(', ');
+            throw new Error(`Unknown standard PIN '${alias}'. Standard PINs are: ${known}.`);
+        }
+        return id;
+    }
+
+    // Descriptors without a moduleId, such as the input { } snippets in the docs, still get a node
+    static createModule(moduleId, displayName, outputs, inputs, index) {
+        const id = String(moduleId || '').trim();
+        return {
+            moduleId: id,
+            displayName: String(displayName || '').trim() || id || `Module ${index + 1}`,
+            outputs: Array.from(new Set(outputs)),
+            inputs: Array.from(new Set(inputs))
+        };
+    }
+
+    // Every PIN with the modules that provide it (output) and need it (input)
+    static analyze(modules) {
+        const pins = new Map();
+        const pinFor = id => {
+            if (!pins.has(id)) pins.set(id, { id, providers: [], consumers: [] });
+            return pins.get(id);
+        };
+        modules.forEach(module => {
+            module.outputs.forEach(id => pinFor(id).providers.push(module));
+            module.inputs.forEach(id => pinFor(id).consumers.push(module));
+        });
+
+        const list = Array.from(pins.values());
+        return { modules, pins: list, missing: list.filter(pin => pin.providers.length === 0) };
+    }
+
+    static standardAlias(pinId) {
+        return Object.keys(WATER_MESH_OPTIONS.STANDARD_PINS).find(alias => WATER_MESH_OPTIONS.STANDARD_PINS[alias] === pinId) || null;
+    }
+
+    // Mermaid reads quotes and angle brackets in labels as syntax, so they become its entity codes
+    static escapeLabel(text) {
+        return String(text)
+            .replace(/#/g, '#35;')
+            .replace(/"/g, '#quot;')
+            .replace(/</g, '#lt;')
+            .replace(/>/g, '#gt;');
+    }
+
+    // Modules are boxes and PINs hexagons: a solid arrow provides the PIN, a dotted one needs it
+    static createGraph({ modules, pins }) {
+        const escape = this.escapeLabel;
+        const lines = ['flowchart LR'];
+        modules.forEach((module, index) => {
+            const label = module.moduleId && module.moduleId !== module.displayName
+                ? `${escape(module.displayName)}<br/>${escape(module.moduleId)}`
+                : escape(module.displayName);
+            lines.push(`    m${index}["${label}"]`);
+        });
+        pins.forEach((pin, index) => {
+            const alias = this.standardAlias(pin.id);
+            lines.push(`    p${index}{{"${alias ? `${escape(alias)}<br/>${escape(pin.id)}` : escape(pin.id)}"}}`);
+            pin.providers.forEach(module => lines.push(`    m${modules.indexOf(module)} --> p${index}`));
+            pin.consumers.forEach(module => lines.push(`    p${index} -.-> m${modules.indexOf(module)}`));
+            if (pin.providers.length === 0) lines.push(`    class p${index} missing`);
+        });
+        lines.push(`    classDef missing ${this.getMissingStyle()}`);
+        return lines.join('\n');
+    }
+
+    // Like the rest of the diagram, the colours follow the light or dark theme in css/style.css
+    static getMissingStyle() {
+        const color = (name, fallback) => DiagramRenderer.getColor(name, fallback);
+        return [
+            `fill:${color('--danger-background', '#fde8e8')}`,
+            `stroke:${color('--danger-color', '#c53030')}`,
+            'stroke-width:2px',
+            'stroke-dasharray:5 4',
+            `color:${color('--danger-text', '#9b2c2c')}`
+        ].join(',');
+    }
+
+    static describe({ modules, pins, missing }) {
+        const count = (number, noun) => `${number} ${noun}${number === 1 ? '' : 's'}`;
+        return `${count(modules.length, 'module')}, ${count(pins.length, 'PIN')}, ${missing.length} without a provider`;
+    }
+
+    static createReport(analysis) {
+        const escape = utils.escapeHtml;
+        const summary = `<p class="mesh-visualizer-summary">${escape(this.describe(analysis))}</p>`;
+        if (analysis.missing.length === 0) {
+            return `${summary}<p class="mesh-visualizer-ok"><i class="fas fa-check-circle"></i> Every input PIN has a provider.</p>`;
+        }
+
+        return `${summary}
+            <div class="mesh-visualizer-missing">
+                <p><i class="fas fa-exclamation-triangle"></i> Missing providers:</p>
+                <ul>
+                    ${analysis.missing.map(pin => {
+                        const alias = this.standardAlias(pin.id);
+                        const consumers = pin.consumers.map(module => escape(module.displayName)).join(', ');
+                        return `<li><code>${escape(alias || pin.id)}</code>${alias ? ` (${escape(pin.id)})` : ''}, needed by ${consumers}</li>`;
+                    }).join('')}
+                </ul>
+                <p>Add a module with a matching output PIN, for example from the list above, to wire it up.</p>
+            </div>
+        `;
+    }
+
+    render() {
+        const escape = utils.escapeHtml;
+        const sourceId = `mesh-visualizer-source-${this.id}`;
+        this.root.classList.add('mesh-visualizer');
+        this.root.innerHTML = `
+            <div class="mesh-visualizer-editor">
+                <label for="${sourceId}">
+                    Module descriptors <span class="mesh-visualizer-hint">waterDescriptor blocks from build.gradle, or water-descriptor.json</span>
+                </label>
+                <textarea id="${sourceId}" class="mesh-visualizer-source" rows="12" spellcheck="false" autocomplete="off">${escape(this.initialSource)}</textarea>
+                <div class="mesh-visualizer-actions">
+                    <select class="mesh-visualizer-examples" aria-label="Add an example module">
+                        <option value="">Add an example module…</option>
+                        ${WATER_MESH_OPTIONS.EXAMPLES.map((example, index) => `<option value="${index}">${escape(example.label)}</option>`).join('')}
+                    </select>
+                    <button type="button" class="mesh-visualizer-reset"><i class="fas fa-undo"></i> Reset</button>
+                </div>
+            </div>
+            <div class="mesh-visualizer-result">
+                <div class="mesh-visualizer-graph"></div>
+                <div class="mesh-visualizer-report" role="status"></div>
+                <ul class="mesh-visualizer-legend">
+                    <li><span class="mesh-visualizer-key is-provides"></span> provides (output PIN)</li>
+                    <li><span class="mesh-visualizer-key is-needs"></span> needs (input PIN)</li>
+                    <li><span class="mesh-visualizer-key is-missing"></span> no provider</li>
+                </ul>
+            </div>
+        `;
+
+        this.source = this.root.querySelector('.mesh-visualizer-source');
+        this.graph = this.root.querySelector('.mesh-visualizer-graph');
+        this.report = this.root.querySelector('.mesh-visualizer-report');
+        const examples = this.root.querySelector('.mesh-visualizer-examples');
+
+        this.source.addEventListener('input', () => {
+            clearTimeout(this.updateTimer);
+            this.updateTimer = setTimeout(() => this.update(), WATER_MESH_OPTIONS.DEBOUNCE_MS);
+        });
+        examples.addEventListener('change', () => {
+            const example = WATER_MESH_OPTIONS.EXAMPLES[examples.value];
+            examples.value = '';
+            if (!example) return;
+            this.source.value = [this.source.value.trim(), example.descriptor].filter(Boolean).join('\n\n');
+            this.update();
+        });
+        this.root.querySelector('.mesh-visualizer-reset').addEventListener('click', () => {
+            this.source.value = this.initialSource;
+            this.update();
+        });
+
+        this.update();
+    }
+
+    async update() {
+        clearTimeout(this.updateTimer);
+        const renderId = ++this.renderCount;
+        let analysis;
+        try {
+            analysis = MeshVisualizer.analyze(MeshVisualizer.parse(this.source.value));
+        } catch (error) {
+            // The last good graph stays, dimmed, while the descriptors are being edited
+            this.source.setAttribute('aria-invalid', 'true');
+            this.graph.classList.add('is-stale');
+            this.report.innerHTML = `
+                <div class="mesh-visualizer-errors">
+                    <p><i class="fas fa-exclamation-triangle"></i> ${utils.escapeHtml(error.message)}</p>
+                </div>
+            `;
+            return;
+        }
+
+        this.source.setAttribute('aria-invalid', 'false');
+        if (analysis.modules.length === 0) {
+            this.graph.classList.remove('is-stale');
+            this.graph.innerHTML = '';
+            this.report.innerHTML = '<p class="mesh-visualizer-summary">Paste a waterDescriptor block or add an example module to draw its wiring.</p>';
+            return;
+        }
+        this.report.innerHTML = MeshVisualizer.createReport(analysis);
+
+        // Drawn off-page and swapped in, so a slow render never replaces a newer one
+        const pending = utils.createElement('div');
+        pending.innerHTML = `<pre><code class="language-mermaid">${utils.escapeHtml(MeshVisualizer.createGraph(analysis))}</code></pre>`;
+        await DiagramRenderer.render(pending);
+        if (renderId !== this.renderCount) return;
+
+        const diagram = pending.querySelector('.mermaid-diagram');
+        if (diagram) diagram.setAttribute('aria-label', `Service mesh wiring: ${MeshVisualizer.describe(analysis)}`);
+        this.graph.classList.remove('is-stale');
+        this.graph.replaceChildren(...pending.childNodes);
+    }
+}
+
+// Search Manager class to handle full-text search across documentation pages
+class SearchManager {
+    constructor(menuManager) {
+        this.menuManager = menuManager;
+        this.input = utils.getElement(SELECTORS.SEARCH_INPUT);
+        this.resultsList = utils.getElement(SELECTORS.SEARCH_RESULTS);
+        this.documents = new Map();
+        this.indexPromise = null;
+        this.results = [];
+        this.selectedIndex = -1;
+
+        if (this.input && this.resultsList) {
+            this.initializeSearchInput();
+            this.initializeRemoteIndexing();
+        }
+    }
+
+    initializeSearchInput() {
+        let searchTimer;
+
+        // Build the index lazily, the first time the user shows interest in searching
+        this.input.addEventListener('focus', () => this.buildIndex());
+
+        this.input.addEventListener('input', () => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => this.runSearch(this.input.value), SEARCH_OPTIONS.DEBOUNCE_MS);
+        });
+
+        this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('.docs-search')) {
+                this.clearResults();
+            }
+        });
+    }
+
+    initializeRemoteIndexing() {
+        // Remote module READMEs are indexed once they have been loaded in this session
+        document.addEventListener(EVENTS.CONTENT_LOADED, (e) => {
+            const { source, text, remote } = e.detail;
+            if (remote && !this.documents.has(source)) {
+                const link = this.findSidebarLink(source);
+                this.addDocument(source, link ? link.textContent.trim() : source, text);
+            }
+        });
+    }
+
+    buildIndex() {
+        if (!this.indexPromise) {
+            utils.log('Building documentation search index');
+            this.indexPromise = this.menuManager.ready.then(() => {
+                const pages = new Map();
+                this.menuManager.getPages().forEach(page => {
+                    if (page.md && !pages.has(page.md)) {
+                        pages.set(page.md, page.title);
+                    }
+
+                    // Module READMEs already cached from earlier visits are searchable without refetching
+                    const cached = page.remoteMd ? RemoteContentFetcher.peek(page.remoteMd) : null;
+                    if (cached && !this.documents.has(page.remoteMd)) {
+                        this.addDocument(page.remoteMd, page.title, cached.text);
+                    }
+                });
+
+                return Promise.all(Array.from(pages, ([file, title]) => this.indexLocalPage(file, title)));
+            }).then(() => {
+                utils.log('Search index built, documents:', this.documents.size);
+            });
+        }
+        return this.indexPromise;
+    }
+
+    async indexLocalPage(file, title) {
+        try {
+            const response = await fetch(VersionManager.contentPath(file));
+            if (!response.ok) {
+                throw new Error(`Failed to load content: ${response.status} ${response.statusText}`);
+            }
+            this.addDocument(file, title, await response.text());
+        } catch (error) {
+            utils.log(`Skipping ${file} in search index:`, error.message);
+        }
+    }
+
+    addDocument(source, title, markdown) {
+        const { data: meta, body } = FrontMatter.parse(markdown);
+        if (!body || body.trim() === '' || (meta.draft && !utils.isPreviewMode())) {
+            return;
+        }
+        this.documents.set(source, {
+            source,
+            title: meta.title || title,
+            sections: SearchManager.extractSections(body, meta.title || title)
+        });
+    }
+
+    static extractSections(markdown, title) {
+        // Render into an inert document so images and scripts in the markdown are never fetched or run
+        const inertDocument = document.implementation.createHTMLDocument('');
+        const body = inertDocument.body;
+        body.innerHTML = ContentLoader.parseMarkdown(markdown);
+        Callouts.enhance(body);
+        ContentLoader.addHeadingIds(body);
+
+        const sections = [];
+        let current = { heading: title, id: '', text: '', intro: true };
+        Array.from(body.children).forEach(element => {
+            if (/^H[1-6]$/.test(element.tagName)) {
+                sections.push(current);
+                current = { heading: element.textContent.trim(), id: element.id, text: '', intro: false };
+            } else {
+                current.text += ' ' + element.textContent;
+            }
+        });
+        sections.push(current);
+
+        return sections
+            .map(section => ({ ...section, text: section.text.replace(/\s+/g, ' ').trim() }))
+            .filter(section => section.intro ? section.text : true);
+    }
+
+    async runSearch(query) {
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+        if (terms.length === 0) {
+            this.clearResults();
+            return;
+        }
+
+        if (this.documents.size === 0) {
+            this.renderStatus('Indexing documentation…');
+        }
+        await this.buildIndex();
+
+        // Ignore stale searches that finished after the user kept typing
+        if (query !== this.input.value) {
+            return;
+        }
+
+        this.results = this.search(terms);
+        this.selectedIndex = this.results.length > 0 ? 0 : -1;
+        this.renderResults(terms);
+    }
+
+    search(terms) {
+        const results = [];
+
+        this.documents.forEach(doc => {
+            const title = doc.title.toLowerCase();
+            doc.sections.forEach(section => {
+                const heading = section.heading.toLowerCase();
+                const body = section.text.toLowerCase();
+                let score = 0;
+
+                for (const term of terms) {
+                    const inTitle = title.includes(term);
+                    const inHeading = heading.includes(term);
+                    const bodyHits = SearchManager.countOccurrences(body, term);
+
+                    // Every term must appear in the section; a page title only matches its intro
+                    if (!inHeading && bodyHits === 0 && !(inTitle && section.intro)) {
+                        return;
+                    }
+                    score += (inTitle ? 10 : 0) + (inHeading ? 5 : 0) + Math.min(bodyHits, 5);
+                }
+
+                results.push({ doc, section, score });
+            });
+        });
+
+        return results
+            .sort((a, b) => b.score - a.score)
+            .slice(0, SEARCH_OPTIONS.MAX_RESULTS);
+    }
+
+    static countOccurrences(text, term) {
+        let count = 0;
+        let position = text.indexOf(term);
+        while (position !== -1) {
+            count++;
+            position = text.indexOf(term, position + term.length);
+        }
+        return count;
+    }
+
+    static createSnippet(text, terms) {
+        const lowerText = text.toLowerCase();
+        const matchPosition = terms
+            .map(term => lowerText.indexOf(term))
+            .filter(position => position !== -1)
+            .sort((a, b) => a - b)[0] || 0;
+
+        const start = Math.max(0, matchPosition - SEARCH_OPTIONS.SNIPPET_BEFORE);
+        const end = Math.min(text.length, matchPosition + SEARCH_OPTIONS.SNIPPET_AFTER);
+        const snippet = (start > 0 ? '…' : '') + text.substring(start, end) + (end < text.length ? '…' : '');
+
+        return SearchManager.highlightTerms(snippet, terms);
+    }
+
+    static highlightTerms(text, terms) {
+        const pattern = new RegExp(`(${terms.map(utils.escapeRegExp).join('|')})`, 'gi');
+        return text
+            .split(pattern)
+            .map((part, index) => index % 2 === 1 ? `<mark>${utils.escapeHtml(part)}</mark>` : utils.escapeHtml(part))
+            .join('');
+    }
+
+    renderStatus(message) {
+        this.resultsList.innerHTML = `<li class="search-status">${utils.escapeHtml(message)}</li>`;
+        this.resultsList.classList.add(CLASSES.ACTIVE);
+    }
+
+    renderResults(terms) {
+        if (this.results.length === 0) {
+            this.renderStatus('No results found');
+            return;
+        }
+
+        this.resultsList.innerHTML = this.results.map(({ doc, section }, index) => {
+            const location = section.intro
+                ? SearchManager.highlightTerms(doc.title, terms)
+                : `${utils.escapeHtml(doc.title)} › ${SearchManager.highlightTerms(section.heading, terms)}`;
+            return `
+                <li class="search-result${index === this.selectedIndex ? ' ' + CLASSES.ACTIVE : ''}" data-index="${index}" role="option" aria-selected="${index === this.selectedIndex}">
+                    <span class="search-result-title">${location}</span>
+                    <span class="search-result-snippet">${SearchManager.createSnippet(section.text, terms)}</span>
+                </li>
+            `;
+        }).join('');
+        this.resultsList.classList.add(CLASSES.ACTIVE);
+
+        this.resultsList.querySelectorAll('.search-result').forEach(item => {
+            item.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.openResult(this.results[Number(item.getAttribute('data-index'))]);
+            });
+        });
+    }
+
+    handleKeydown(e) {
+        if (e.key === 'Escape') {
+            this.input.value = '';
+            this.clearResults();
+            return;
+        }
+        if (this.results.length === 0) {
+            return;
+        }
+
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            this.selectedIndex = (this.selectedIndex + step + this.results.length) % this.results.length;
+            this.updateSelection();
+        } else if (e.key === 'Enter' && this.selectedIndex >= 0) {
+            e.preventDefault();
+            this.openResult(this.results[this.selectedIndex]);
+        }
+    }
+
+    updateSelection() {
+        this.resultsList.querySelectorAll('.search-result').forEach((item, index) => {
+            const selected = index === this.selectedIndex;
+            item.classList.toggle(CLASSES.ACTIVE, selected);
+            item.setAttribute('aria-selected', selected);
+            if (selected) {
+                item.scrollIntoView({ block: 'nearest' });
+            }
+        });
+    }
+
+    findSidebarLink(source) {
+        const links = utils.getElements('.docs-sidebar nav a[data-md], .docs-sidebar nav a[remote-md]');
+        return Array.from(links).find(link =>
+            link.getAttribute('data-md') === source || link.getAttribute('remote-md') === source
+        ) || null;
+    }
+
+    async openResult(result) {
+        if (!result) {
+            return;
+        }
+        utils.log('Opening search result:', `${result.doc.source}#${result.section.id}`);
+        this.clearResults();
+
+        const link = this.findSidebarLink(result.doc.source);
+        if (!link) {
+            utils.log('No sidebar entry for search result:', result.doc.source);
+            return;
+        }
+
+        await this.menuManager.router.navigate(link, { heading: result.section.id || null });
+    }
+
+    clearResults() {
+        this.results = [];
+        this.selectedIndex = -1;
+        this.resultsList.innerHTML = '';
+        this.resultsList.classList.remove(CLASSES.ACTIVE);
+    }
+}
+
+// Page TOC Manager class to build the "On this page" panel and its scroll-spy
+class PageTocManager {
+    constructor(router) {
+        this.router = router;
+        this.panel = utils.getElement(SELECTORS.PAGE_TOC);
+        this.tocNav = utils.getElement(SELECTORS.PAGE_TOC_NAV);
+        this.headings = [];
+        this.activeId = null;
+        this.scrollScheduled = false;
+
+        if (this.panel && this.tocNav) {
+            this.initializeContentObserver();
+            this.initializeScrollSpy();
+            this.initializeTocLinks();
         }
     }
 
-    generateSectionOverview(sectionLink, subMenu) {
-        const sectionTitle = sectionLink.textContent.trim();
-        const sectionId = sectionLink.getAttribute('href').substring(1);
-        
-        // Clean up any existing TOC content in the sidebar
-        this.cleanupSidebarTOC();
-        
-        // Get section description
-        const description = this.getSectionDescriptions()[sectionId] || 
-                          this.getSubsectionDescription(sectionTitle, sectionId);
-        
-        // Create overview HTML
-        let overviewHTML = `
-            <div class="section-overview">
-                <h1>${sectionTitle}</h1>
-                <p class="section-description">${description}</p>
-                
-                <div class="section-toc">
-                    <h2>📚 Table of Contents</h2>
-                    <div class="toc-grid">
-        `;
-        
-        // Add TOC items for each subsection
-        const subMenuItems = subMenu.querySelectorAll('a');
-        subMenuItems.forEach((item, index) => {
-            const itemTitle = item.textContent;
-            const itemHref = item.getAttribute('href');
-            const hasRemoteMd = item.hasAttribute('remote-md');
-            const hasDataMd = item.hasAttribute('data-md');
-            
-            overviewHTML += `
-                <div class="toc-item" data-href="${itemHref}" data-remote="${hasRemoteMd ? item.getAttribute('remote-md') : ''}" data-md="${hasDataMd ? item.getAttribute('data-md') : ''}">
-                    <div class="toc-number">${(index + 1).toString().padStart(2, '0')}</div>
-                    <div class="toc-content">
-                        <h3>${itemTitle}</h3>
-                        <p>${this.getSubsectionDescription(itemTitle, sectionId)}</p>
-                    </div>
-                    <div class="toc-arrow">
-                        <i class="fas fa-arrow-right"></i>
-                    </div>
-                </div>
-            `;
+    initializeContentObserver() {
+        // Rebuild whenever the docs content is replaced (pages, overviews, loading and error states)
+        const docsContent = utils.getElement(SELECTORS.DOCS_CONTENT);
+        const observer = new MutationObserver(() => this.rebuild());
+        observer.observe(docsContent, { childList: true });
+        this.rebuild();
+    }
+
+    initializeScrollSpy() {
+        // Listen in the capture phase so both window and docs-content scrolling are tracked
+        document.addEventListener('scroll', () => {
+            if (this.scrollScheduled) return;
+            this.scrollScheduled = true;
+            window.requestAnimationFrame(() => {
+                this.scrollScheduled = false;
+                this.updateActiveHeading();
+            });
+        }, true);
+    }
+
+    initializeTocLinks() {
+        this.tocNav.addEventListener('click', (e) => {
+            const link = e.target.closest('.docs-toc-link');
+            if (!link) return;
+
+            e.preventDefault();
+            e.stopPropagation();
+            const headingId = link.getAttribute('data-heading-id');
+            ContentLoader.scrollToHeading(headingId);
+            if (this.router) this.router.updateHeading(headingId);
+
+            // Collapse the panel again once a section has been picked on smaller screens
+            if (window.innerWidth < BREAKPOINTS.WIDE) {
+                this.panel.classList.remove(CLASSES.ACTIVE);
+                const tocToggle = utils.getElement(SELECTORS.PAGE_TOC_TOGGLE);
+                if (tocToggle) tocToggle.setAttribute('aria-expanded', 'false');
+            }
         });
-        
-        overviewHTML += `
-                    </div>
-                </div>
-            </div>
-        `;
-        
-        // Display in main content area
+    }
+
+    rebuild() {
+        const markdownContent = utils.getElement(`${SELECTORS.DOCS_CONTENT} .markdown-content`);
+        this.headings = markdownContent
+            ? Array.from(markdownContent.querySelectorAll(PAGE_TOC_OPTIONS.HEADINGS)).filter(heading => heading.id)
+            : [];
+        this.activeId = null;
+        this.tocNav.innerHTML = '';
+
+        if (this.headings.length < PAGE_TOC_OPTIONS.MIN_HEADINGS) {
+            this.panel.hidden = true;
+            return;
+        }
+
+        utils.log('Building page TOC, headings:', this.headings.length);
+        this.tocNav.appendChild(this.createTocList(this.headings));
+        this.panel.hidden = false;
+        this.updateActiveHeading();
+    }
+
+    createTocList(headings) {
+        const rootList = utils.createElement('ul', 'docs-toc-list');
+        const openItems = [];
+
+        headings.forEach(heading => {
+            const level = Number(heading.tagName.substring(1));
+            const item = document.createElement('li');
+            const link = utils.createElement('a', 'docs-toc-link');
+            link.href = `#${heading.id}`;
+            link.textContent = heading.textContent.trim();
+            link.setAttribute('data-heading-id', heading.id);
+            item.appendChild(link);
+
+            // Nest under the closest preceding heading of a higher level
+            while (openItems.length > 0 && openItems[openItems.length - 1].level >= level) {
+                openItems.pop();
+            }
+            if (openItems.length === 0) {
+                rootList.appendChild(item);
+            } else {
+                const parentItem = openItems[openItems.length - 1].item;
+                let subList = parentItem.querySelector(':scope > ul');
+                if (!subList) {
+                    subList = utils.createElement('ul', 'docs-toc-list');
+                    parentItem.appendChild(subList);
+                }
+                subList.appendChild(item);
+            }
+            openItems.push({ level, item });
+        });
+
+        return rootList;
+    }
+
+    updateActiveHeading() {
+        if (this.headings.length === 0) return;
+
+        let activeHeading = this.headings[0];
+        for (const heading of this.headings) {
+            if (heading.getBoundingClientRect().top - PAGE_TOC_OPTIONS.SCROLL_OFFSET > 0) break;
+            activeHeading = heading;
+        }
+
+        // The last sections of a page may never reach the top, so activate the last one at the bottom
+        const scrolledToBottom = window.innerHeight + window.scrollY >= document.documentElement.scrollHeight - 2;
+        if (scrolledToBottom && window.scrollY > 0) {
+            activeHeading = this.headings[this.headings.length - 1];
+        }
+
+        if (activeHeading.id === this.activeId) return;
+        this.activeId = activeHeading.id;
+
+        this.tocNav.querySelectorAll('.docs-toc-link').forEach(link => {
+            link.classList.toggle(CLASSES.ACTIVE, link.getAttribute('data-heading-id') === this.activeId);
+        });
+    }
+}
+
+// Page Navigation Manager: breadcrumbs and previous/next links, following the sidebar order
+class PageNavigationManager {
+    constructor(menuManager) {
+        this.menuManager = menuManager;
+        this.router = menuManager.router;
+
+        this.initializeContentObserver();
+        this.initializeKeyboardShortcuts();
+    }
+
+    initializeContentObserver() {
         const docsContent = utils.getElement(SELECTORS.DOCS_CONTENT);
-        const contentWrapper = utils.createElement('div', 'markdown-content');
-        contentWrapper.innerHTML = overviewHTML;
-        docsContent.innerHTML = '';
-        docsContent.appendChild(contentWrapper);
-        
-        // Add click handlers to TOC items with a small delay to ensure DOM is ready
-        setTimeout(() => {
-            this.initializeTOCItemHandlers();
-        }, 50);
+        const observer = new MutationObserver(() => this.decorate());
+        observer.observe(docsContent, { childList: true });
     }
 
-    cleanupSidebarTOC() {
-        // Remove any existing TOC content from the sidebar
-        const existingTOC = utils.getElements('.section-toc');
-        existingTOC.forEach(toc => {
-            if (toc.closest('.docs-sidebar')) {
-                toc.remove();
+    // "[" and "]" move to the previous and next page, like turning the pages of a guide
+    initializeKeyboardShortcuts() {
+        document.addEventListener('keydown', (e) => {
+            if ((e.key !== '[' && e.key !== ']') || e.ctrlKey || e.metaKey || e.altKey) return;
+            if (e.target instanceof Element && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+            const { previous, next } = this.getNeighbours(this.router.currentPage);
+            const target = e.key === '[' ? previous : next;
+            const link = target ? this.router.resolve(target.id) : null;
+            if (link) {
+                e.preventDefault();
+                this.router.navigate(link);
             }
         });
     }
 
-    generateSectionTOC(sectionLink, subMenu) {
-        // This method is now deprecated - use generateSectionOverview instead
-        // Keeping for backward compatibility but it should not be called
-        utils.log('generateSectionTOC is deprecated - use generateSectionOverview instead');
+    // Sections and pages in sidebar order
+    getReadingOrder() {
+        return this.menuManager.navigation.sections.flatMap(section =>
+            [{ ...section, section: null }, ...(section.pages || []).map(page => ({ ...page, section }))]);
     }
 
-    getSectionDescriptions() {
+    // Section headers without content of their own are skipped
+    getNeighbours(pageId) {
+        const order = this.getReadingOrder();
+        const index = order.findIndex(entry => entry.id === pageId);
+        if (index < 0) return { previous: null, next: null };
+
+        const hasContent = entry => entry.md || entry.remoteMd;
         return {
-            'ai-powered-development': 'Supercharge development velocity with Claude Code and the yo water Yeoman generator. Build microservices in minutes.',
-            'basic-concepts': 'Core concepts and fundamental building blocks of the Water Framework.',
-            'persistence': 'Data persistence and repository patterns for managing entities.',
-            'permission': 'Security and permission management system.',
-            'rest-api': 'REST API development and integration patterns.',
-            'architecture': 'System architecture and design patterns.',
-            'service-mesh-integration': 'Service mesh wiring, API Gateway, Service Discovery, and integration clients.',
-            'clustering': 'Clustering and distributed system capabilities.',
-            'microservices': 'Microservices architecture and patterns.',
-            'best-practices': 'Development best practices and guidelines.',
-            'implementations': 'Framework implementations for different platforms.',
-            'modules': 'All available Water Framework modules — core, security, service mesh, and connectors.'
+            previous: order.slice(0, index).reverse().find(hasContent) || null,
+            next: order.slice(index + 1).find(hasContent) || null
         };
     }
 
-    getSubsectionDescription(subsectionTitle, sectionId) {
-        const descriptions = {
-            'service-architecture': 'Understanding the service-oriented architecture of Water Framework.',
-            'entity-management': 'How to manage entities and their lifecycle.',
-            'water-resources-entities': 'Core resource and entity concepts.',
-            'shared-entities': 'Sharing entities between users and organizations.',
-            'validation': 'Data validation and business rule enforcement.',
-            'event-management': 'Event-driven architecture and messaging.',
-            'security-permissions': 'Security model and permission system.',
-            'component-lifecycle': 'Component lifecycle management and dependency injection.',
-            'interceptors-aop': 'Aspect-oriented programming with interceptors.',
-            'jpa-repository': 'JPA-based repository implementation.',
-            'query-filter-system': 'Advanced querying and filtering capabilities.',
-            'entity-extensions': 'Extending entities with custom functionality.',
-            'permission-annotations': 'Using annotations for permission management.',
-            'defining-roles-permissions': 'Defining roles and permissions for entities.',
-            'custom-checking-permissions': 'Creating custom permission managers.',
-            'rest-service-layer': 'Building REST services with Water Framework.',
-            'rest-security': 'Securing REST APIs and integration patterns.',
-            'api-documentation': 'API documentation and versioning strategies.',
-            'system-architecture': 'High-level system architecture overview.',
-            'component-interaction': 'How components interact and communicate.',
-            'security-flows': 'Security and permission flow patterns.',
-            'clustering-overview': 'Clustering architecture and benefits.',
-            'distributed-components': 'Distributed component patterns.',
-            'cluster-coordination': 'Cluster coordination and synchronization.',
-            'microservices-overview': 'Microservices architecture patterns.',
-            'ai-productivity': 'Scaffold and build microservices with Claude Code and the yo water generator.',
-            'generator-reference': 'Complete reference for all yo water generator commands.',
-            'service-mesh': 'Declarative service mesh wiring with waterDescriptor output and input PINs.',
-            'api-gateway': 'API Gateway module: dynamic routing, circuit breaker, rate limiting, and load balancing.',
-            'service-discovery': 'Service Discovery: dynamic service registration and resolution across the Water mesh.',
-            'integration-clients': 'Remote integration clients for cross-service communication via REST.',
-            'distributed-tracing': 'Distributed tracing and observability.',
-            'development-patterns': 'Recommended development patterns.',
-            'testing-strategies': 'Testing strategies and best practices.',
-            'performance-scalability': 'Performance optimization and scalability.',
-            'spring-integration': 'Spring Framework integration.',
-            'osgi-integration': 'OSGi container integration.',
-            'quarkus-integration': 'Quarkus framework integration.'
+    decorate() {
+        const markdownContent = utils.getElement(`${SELECTORS.DOCS_CONTENT} .markdown-content`);
+        const pageId = this.router.currentPage;
+        const entry = pageId ? this.getReadingOrder().find(item => item.id === pageId) : null;
+        if (!markdownContent || !entry) return;
+
+        markdownContent.insertBefore(this.createBreadcrumbs(entry), markdownContent.firstChild);
+
+        const { previous, next } = this.getNeighbours(pageId);
+        if (previous || next) {
+            markdownContent.appendChild(this.createPagination(previous, next));
+        }
+    }
+
+    createBreadcrumbs(entry) {
+        const crumbs = [];
+        const firstPage = this.menuManager.getPages()[0];
+        if (firstPage) {
+            crumbs.push(this.createPageLink(firstPage.id, 'Documentation'));
+        }
+        if (entry.section) {
+            crumbs.push(this.createPageLink(entry.section.id, entry.section.title));
+        }
+        crumbs.push(`<span aria-current="page">${utils.escapeHtml(entry.title)}</span>`);
+
+        const breadcrumbs = utils.createElement('nav', 'breadcrumbs',
+            `<ol>${crumbs.map(crumb => `<li>${crumb}</li>`).join('')}</ol>`);
+        breadcrumbs.setAttribute('aria-label', 'Breadcrumb');
+        return breadcrumbs;
+    }
+
+    createPagination(previous, next) {
+        const card = (entry, direction) => {
+            if (!entry) return '<span></span>';
+            const label = direction === 'prev'
+                ? '<i class="fas fa-arrow-left"></i> Previous <kbd>[</kbd>'
+                : 'Next <kbd>]</kbd> <i class="fas fa-arrow-right"></i>';
+            return `
+                <a class="page-pagination-link page-pagination-${direction}" href="${utils.escapeHtml(Router.pageHref(entry.id))}" data-doc-link="page" data-doc-page="${utils.escapeHtml(entry.id)}">
+                    <span class="page-pagination-label">${label}</span>
+                    <span class="page-pagination-title">${utils.escapeHtml(entry.title)}</span>
+                </a>
+            `;
         };
-        
-        // Try to find the description by the subsection title (converted to key format)
-        const key = subsectionTitle.toLowerCase().replace(/[^a-z0-9]/g, '-').replace(/-+/g, '-').replace(/^-|-$/g, '');
-        return descriptions[key] || `Learn about ${subsectionTitle.toLowerCase()}.`;
+
+        const pagination = utils.createElement('nav', 'page-pagination', card(previous, 'prev') + card(next, 'next'));
+        pagination.setAttribute('aria-label', 'Previous and next pages');
+        return pagination;
     }
 
-    initializeTOCItemHandlers() {
-        const tocItems = utils.getElements('.toc-item');
-        utils.log('=== initializeTOCItemHandlers START ===');
-        utils.log('Found TOC items:', tocItems.length);
-        
-        tocItems.forEach((item, index) => {
-            utils.log(`TOC item ${index + 1}:`, {
-                text: item.querySelector('.toc-content h3')?.textContent,
-                href: item.getAttribute('data-href'),
-                remoteMd: item.getAttribute('data-remote'),
-                dataMd: item.getAttribute('data-md')
-            });
-            
-            item.addEventListener('click', (e) => {
-                e.preventDefault();
-                e.stopPropagation();
-                
-                utils.log('=== TOC Item Click START ===');
-                utils.log('Clicked TOC item:', item.querySelector('.toc-content h3')?.textContent);
-                
-                // Find the corresponding menu item
-                const href = item.getAttribute('data-href');
-                const remoteMd = item.getAttribute('data-remote');
-                const dataMd = item.getAttribute('data-md');
-                
-                utils.log('TOC item data:', { href, remoteMd, dataMd });
-                
-                let targetLink = utils.getElement(`a[href="${href}"]`);
-                utils.log('Target link found:', targetLink);
-                utils.log('Target link text:', targetLink?.textContent);
-                utils.log('Target link href:', targetLink?.getAttribute('href'));
-                
-                if (targetLink) {
-                    utils.log('Calling selectMenuItemAndLoadContent with target link');
-                    // Use the unified function to handle menu selection and content loading
-                    this.selectMenuItemAndLoadContent(targetLink);
-                } else {
-                    utils.log('Target link not found for href:', href);
-                    utils.log('All available links with href:', href);
-                    const allLinks = utils.getElements('a');
-                    allLinks.forEach(link => {
-                        if (link.getAttribute('href') === href) {
-                            utils.log('Found matching link:', link.textContent);
-                        }
-                    });
-                }
-                
-                utils.log('=== TOC Item Click END ===');
+    createPageLink(pageId, title) {
+        return `<a href="${utils.escapeHtml(Router.pageHref(pageId))}" data-doc-link="page" data-doc-page="${utils.escapeHtml(pageId)}">${utils.escapeHtml(title)}</a>`;
+    }
+}
+
+// Command Palette (Ctrl/Cmd+K): fuzzy "go to" for pages, section overviews, module READMEs and headings
+class CommandPalette {
+    constructor(menuManager, searchManager) {
+        this.menuManager = menuManager;
+        this.searchManager = searchManager;
+        this.palette = utils.getElement(SELECTORS.COMMAND_PALETTE);
+        this.input = utils.getElement(SELECTORS.COMMAND_PALETTE_INPUT);
+        this.resultsList = utils.getElement(SELECTORS.COMMAND_PALETTE_RESULTS);
+        this.items = [];
+        this.results = [];
+        this.selectedIndex = 0;
+        this.returnFocus = null;
+
+        if (this.palette && this.input && this.resultsList) {
+            this.initializeEventListeners();
+        }
+    }
+
+    initializeEventListeners() {
+        this.input.addEventListener('input', () => this.update());
+        this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+        // Clicking the backdrop closes the palette
+        this.palette.addEventListener('mousedown', (e) => {
+            if (e.target === this.palette) this.close();
+        });
+
+        this.resultsList.addEventListener('click', (e) => {
+            const option = e.target.closest('.command-palette-result');
+            if (option) this.openItem(this.results[Number(option.dataset.index)]);
+        });
+    }
+
+    isOpen() {
+        return this.palette && !this.palette.hidden;
+    }
+
+    toggle() {
+        if (this.isOpen()) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    async open() {
+        if (!this.palette || this.isOpen()) return;
+
+        this.returnFocus = document.activeElement;
+        this.palette.hidden = false;
+        this.input.value = '';
+        this.input.setAttribute('aria-expanded', 'true');
+        this.input.focus();
+
+        await this.menuManager.ready;
+        this.items = this.collectItems();
+        this.update();
+
+        // Headings of every local page become available once the search index is built
+        if (this.searchManager) {
+            await this.searchManager.buildIndex();
+            if (this.isOpen()) {
+                this.items = this.collectItems();
+                this.update();
+            }
+        }
+    }
+
+    close() {
+        if (!this.isOpen()) return;
+        this.palette.hidden = true;
+        this.input.setAttribute('aria-expanded', 'false');
+        this.resultsList.innerHTML = '';
+
+        if (this.returnFocus && document.contains(this.returnFocus)) {
+            this.returnFocus.focus();
+        }
+        this.returnFocus = null;
+    }
+
+    collectItems() {
+        const items = [];
+        const seen = new Set();
+        const add = (item) => {
+            const key = `${item.pageId}#${item.heading || ''}`;
+            if (seen.has(key)) return;
+            seen.add(key);
+            items.push(item);
+        };
+
+        this.menuManager.navigation.sections.forEach(section => {
+            add(this.createPageItem(section, null));
+            (section.pages || []).forEach(page => add(this.createPageItem(page, section)));
+        });
+
+        // Headings of the page being read, including module READMEs that are not in the search index
+        const currentPage = this.menuManager.router.currentPage;
+        utils.getElements(`${SELECTORS.DOCS_CONTENT} .markdown-content h2[id], ${SELECTORS.DOCS_CONTENT} .markdown-content h3[id]`).forEach(heading => {
+            add({ type: 'heading', title: heading.textContent.trim(), context: this.getPageTitle(currentPage), pageId: currentPage, heading: heading.id });
+        });
+
+        if (this.searchManager) {
+            this.searchManager.documents.forEach(doc => {
+                const link = this.searchManager.findSidebarLink(doc.source);
+                if (!link) return;
+                doc.sections.filter(section => section.id && section.heading !== doc.title).forEach(section => {
+                    add({ type: 'heading', title: section.heading, context: doc.title, pageId: Router.getPageId(link), heading: section.id });
+                });
             });
+        }
+        return items;
+    }
+
+    createPageItem(entry, section) {
+        let type = 'page';
+        if (entry.remoteMd) {
+            type = 'module';
+        } else if (!entry.md && entry.pages) {
+            type = 'section';
+        }
+        return { type, title: entry.title, context: section ? section.title : '', pageId: entry.id, heading: null };
+    }
+
+    getPageTitle(pageId) {
+        const entry = this.menuManager.getNavigationEntry(pageId);
+        return entry ? entry.title : '';
+    }
+
+    update() {
+        const query = this.input.value.trim().toLowerCase().replace(/\s+/g, '');
+
+        if (!query) {
+            // Without a query, list pages in sidebar order
+            this.results = this.items.filter(item => item.type !== 'heading')
+                .map(item => ({ item, positions: [] }));
+        } else {
+            this.results = this.items
+                .map(item => {
+                    const match = CommandPalette.fuzzyMatch(query, item.title);
+                    // Headings are only worth showing for fairly close matches
+                    const penalty = item.type === 'heading' ? 2 : 0;
+                    return match ? { item, positions: match.positions, score: match.score - penalty } : null;
+                })
+                .filter(Boolean)
+                .sort((a, b) => b.score - a.score);
+        }
+
+        this.results = this.results.slice(0, COMMAND_PALETTE_OPTIONS.MAX_RESULTS);
+        this.selectedIndex = 0;
+        this.render();
+    }
+
+    // Characters must appear in order; consecutive characters and word starts score higher
+    static fuzzyMatch(query, text) {
+        const lowerText = text.toLowerCase();
+        const positions = [];
+        let score = 0;
+        let lastIndex = -1;
+
+        for (const char of query) {
+            const index = lowerText.indexOf(char, lastIndex + 1);
+            if (index < 0) return null;
+
+            score += index === lastIndex + 1 ? 3 : 1;
+            if (index === 0 || /[\s\-_./@(]/.test(lowerText[index - 1])) {
+                score += 2;
+            }
+            positions.push(index);
+            lastIndex = index;
+        }
+
+        // Prefer shorter titles when the match is otherwise equal
+        return { score: score - text.length * 0.01, positions };
+    }
+
+    static highlight(text, positions) {
+        const marked = new Set(positions);
+        return Array.from(text).map((char, index) =>
+            marked.has(index) ? `<mark>${utils.escapeHtml(char)}</mark>` : utils.escapeHtml(char)
+        ).join('');
+    }
+
+    render() {
+        const icons = {
+            page: 'fas fa-file-alt',
+            section: 'fas fa-folder-open',
+            module: 'fas fa-cube',
+            heading: 'fas fa-hashtag'
+        };
+        const labels = { page: 'Page', section: 'Section', module: 'Module', heading: 'Heading' };
+
+        if (this.results.length === 0) {
+            this.resultsList.innerHTML = '<li class="command-palette-empty">No matching pages or headings</li>';
+            this.input.removeAttribute('aria-activedescendant');
+            return;
+        }
+
+        this.resultsList.innerHTML = this.results.map(({ item, positions }, index) => `
+            <li class="command-palette-result" id="command-palette-result-${index}" role="option" data-index="${index}" aria-selected="${index === this.selectedIndex}">
+                <i class="${icons[item.type]} command-palette-icon" aria-hidden="true"></i>
+                <span class="command-palette-text">
+                    <span class="command-palette-title">${CommandPalette.highlight(item.title, positions)}</span>
+                    ${item.context ? `<span class="command-palette-context">${utils.escapeHtml(item.context)}</span>` : ''}
+                </span>
+                <span class="command-palette-type">${labels[item.type]}</span>
+            </li>
+        `).join('');
+        this.updateSelection();
+    }
+
+    updateSelection() {
+        this.resultsList.querySelectorAll('.command-palette-result').forEach((option, index) => {
+            const selected = index === this.selectedIndex;
+            option.classList.toggle(CLASSES.ACTIVE, selected);
+            option.setAttribute('aria-selected', String(selected));
+            if (selected) {
+                this.input.setAttribute('aria-activedescendant', option.id);
+                option.scrollIntoView({ block: 'nearest' });
+            }
         });
-        
-        utils.log('=== initializeTOCItemHandlers END ===');
     }
 
-    handleSubmenuVisibility(link) {
-        const parentLi = link.parentElement;
-        const currentSubmenu = parentLi.querySelector('.sub-menu');
-        
-        if (currentSubmenu) {
-            // Close all other submenus first
-            this.closeSiblingSubmenus(parentLi);
-            
-            // Toggle current submenu
-            this.toggleSubmenu(parentLi);
+    handleKeydown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            e.stopPropagation();
+            this.close();
+        } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (this.results.length === 0) return;
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            this.selectedIndex = (this.selectedIndex + step + this.results.length) % this.results.length;
+            this.updateSelection();
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            this.openItem(this.results[this.selectedIndex]);
+        } else if (e.key === 'Tab') {
+            // The input is the only focusable element: keep focus inside the dialog
+            e.preventDefault();
+        }
+    }
+
+    async openItem(result) {
+        if (!result) return;
+        const { item } = result;
+        const link = this.menuManager.router.resolve(item.pageId);
+
+        // Focus goes to the page that is opened, not back to where the palette was invoked
+        this.returnFocus = null;
+        this.close();
+        if (!link) return;
+
+        utils.log('Opening from command palette:', `${item.pageId}#${item.heading || ''}`);
+        if (item.heading && item.pageId === this.menuManager.router.currentPage) {
+            ContentLoader.scrollToHeading(item.heading);
+            this.menuManager.router.updateHeading(item.heading);
+        } else {
+            await this.menuManager.router.navigate(link, { heading: item.heading });
+        }
+
+        const docsContent = utils.getElement(SELECTORS.DOCS_CONTENT);
+        if (docsContent) {
+            docsContent.setAttribute('tabindex', '-1');
+            docsContent.focus({ preventScroll: true });
+        }
+    }
+}
+
+// Keyboard Shortcuts: Ctrl/Cmd+K palette, "/" search, "t" sidebar, "g h" home, Esc closes menus
+class KeyboardShortcuts {
+    constructor(commandPalette = null) {
+        this.commandPalette = commandPalette;
+        this.pendingPrefix = null;
+        this.prefixTimer = null;
+
+        document.addEventListener('keydown', (e) => this.handleKeydown(e));
+    }
+
+    static isTyping(target) {
+        return target instanceof Element &&
+            !!target.closest('input, textarea, select, [contenteditable="true"]');
+    }
+
+    handleKeydown(e) {
+        if ((e.ctrlKey || e.metaKey) && (e.key || '').toLowerCase() === 'k' && this.commandPalette && this.commandPalette.palette) {
+            e.preventDefault();
+            this.commandPalette.toggle();
+            return;
+        }
+
+        if (e.key === 'Escape') {
+            this.closeMenus();
+            return;
+        }
+
+        if (e.ctrlKey || e.metaKey || e.altKey || KeyboardShortcuts.isTyping(e.target)) {
+            return;
+        }
+
+        // Two-key sequences such as "g h"
+        if (this.pendingPrefix === 'g') {
+            this.clearPrefix();
+            if (e.key === 'h') {
+                e.preventDefault();
+                window.location.href = 'index.html';
+            }
+            return;
+        }
+
+        if (e.key === 'g') {
+            this.pendingPrefix = 'g';
+            this.prefixTimer = setTimeout(() => this.clearPrefix(), COMMAND_PALETTE_OPTIONS.SEQUENCE_TIMEOUT_MS);
+        } else if (e.key === '/') {
+            const searchInput = utils.getElement(SELECTORS.SEARCH_INPUT);
+            if (searchInput) {
+                e.preventDefault();
+                searchInput.focus();
+            }
+        } else if (e.key === 't') {
+            this.toggleSidebar();
         }
     }
 
-    closeSiblingSubmenus(currentLi) {
-        const siblingLis = currentLi.parentElement.children;
-        Array.from(siblingLis).forEach(li => {
-            if (li !== currentLi) {
-                li.classList.remove(CLASSES.SHOW_SUBMENU);
-            }
-        });
+    clearPrefix() {
+        clearTimeout(this.prefixTimer);
+        this.pendingPrefix = null;
     }
 
-    toggleSubmenu(parentLi) {
-        parentLi.classList.toggle(CLASSES.SHOW_SUBMENU);
+    // Reuse the toggle buttons so MobileManager's collapse logic stays the single implementation
+    toggleSidebar() {
+        const sidebar = utils.getElement(SELECTORS.SIDEBAR);
+        const toggle = utils.getElement(window.innerWidth > BREAKPOINTS.MOBILE ? '.desktop-toggle' : '.mobile-toggle');
+        if (!sidebar || !toggle) return;
+
+        toggle.click();
+        if (sidebar.contains(document.activeElement)) {
+            toggle.focus();
+        }
     }
 
-    initializeDocumentClick() {
-        document.addEventListener('click', (e) => {
-            // Close submenus when clicking outside
-            if (!e.target.closest('.docs-sidebar')) {
-                this.closeAllSubmenus();
+    closeMenus() {
+        const navLinks = utils.getElement(SELECTORS.NAV_LINKS);
+        const menuToggle = utils.getElement(SELECTORS.MOBILE_MENU_TOGGLE);
+        if (navLinks && navLinks.classList.contains(CLASSES.ACTIVE)) {
+            navLinks.classList.remove(CLASSES.ACTIVE);
+            if (menuToggle) {
+                menuToggle.classList.remove(CLASSES.ACTIVE);
+                if (navLinks.contains(document.activeElement)) menuToggle.focus();
             }
-        });
-    }
+        }
 
-    closeAllSubmenus() {
-        const submenus = utils.getElements('.sub-menu');
-        submenus.forEach(submenu => {
-            const parentLi = submenu.parentElement;
-            parentLi.classList.remove(CLASSES.SHOW_SUBMENU);
-        });
+        const sidebar = utils.getElement(SELECTORS.SIDEBAR);
+        const mobileToggle = utils.getElement('.mobile-toggle');
+        if (sidebar && window.innerWidth <= BREAKPOINTS.MOBILE && sidebar.classList.contains(CLASSES.ACTIVE)) {
+            sidebar.classList.remove(CLASSES.ACTIVE);
+            if (mobileToggle) {
+                mobileToggle.classList.remove(CLASSES.ACTIVE);
+                if (sidebar.contains(document.activeElement)) mobileToggle.focus();
+            }
+        }
+
+        const tocPanel = utils.getElement(SELECTORS.PAGE_TOC);
+        const tocToggle = utils.getElement(SELECTORS.PAGE_TOC_TOGGLE);
+        if (tocPanel && tocPanel.classList.contains(CLASSES.ACTIVE)) {
+            tocPanel.classList.remove(CLASSES.ACTIVE);
+            if (tocToggle) {
+                tocToggle.setAttribute('aria-expanded', 'false');
+                if (tocPanel.contains(document.activeElement)) tocToggle.focus();
+            }
+        }
     }
 }
 
-// Content Loader class to handle all content loading functionality
-class ContentLoader {
-    static async loadLocalContent(mdFile) {
+// News Feed: posts from content/news with tag filters, pagination and a permalink per post (news.html?post=<slug>)
+class NewsFeed {
+    constructor(container) {
+        this.container = container;
+        this.posts = [];
+        this.defaultMeta = null;
+
+        this.container.addEventListener('click', (e) => this.handleLinkClick(e));
+        window.addEventListener('popstate', () => this.render());
+        this.initialize();
+    }
+
+    async initialize() {
+        this.container.innerHTML = utils.createElement('div', CLASSES.LOADING, 'Loading news...').outerHTML;
         try {
-            utils.log('=== loadLocalContent START ===');
-            utils.log('Loading markdown file:', mdFile);
-            
-            const docsContent = utils.getElement(SELECTORS.DOCS_CONTENT);
-            docsContent.innerHTML = utils.createElement('div', CLASSES.LOADING, 'Loading content...').outerHTML;
-            
-            const response = await fetch(`content/${mdFile}`);
-            utils.log('Fetch response status:', response.status);
-            
-            if (!response.ok) {
-                throw new Error(`Failed to load content: ${response.status} ${response.statusText}`);
-            }
-            
-            const text = await response.text();
-            utils.log('Content received:', text.substring(0, 200) + '...');
-            
-            if (!text) {
-                throw new Error('Received empty content');
-            }
-            
-            this.displayContent(text, docsContent);
+            this.posts = await NewsFeed.loadPosts();
         } catch (error) {
-            this.handleError(error, mdFile);
+            utils.error('Error loading news:', error);
+            this.container.innerHTML = ContentLoader.createNetworkErrorContent(error, NEWS_OPTIONS.MANIFEST, false);
+            return;
         }
-        utils.log('=== loadLocalContent END ===');
+        this.render();
     }
 
-    static async loadRemoteContent(element) {
+    // Newest first; drafts only with ?preview=1. Also used by scripts/generate-feeds.js and generate-sitemap.js.
+    static async loadPosts() {
+        const response = await fetch(NEWS_OPTIONS.MANIFEST);
+        if (!response.ok) {
+            throw new Error(`Failed to load news: ${response.status} ${response.statusText}`);
+        }
+        const manifest = await response.json();
+        const posts = await Promise.all((manifest.posts || []).map(file => this.loadPost(file)));
+        return posts
+            .filter(post => post && (!post.draft || utils.isPreviewMode()))
+            .sort((a, b) => b.time - a.time);
+    }
+
+    // A post that cannot be read is left out instead of hiding the rest of the news
+    static async loadPost(file) {
         try {
-            utils.log('=== loadRemoteContent START ===');
-            const contentUrl = element.getAttribute('remote-md');
-            utils.log('Loading remote content from:', contentUrl);
-            
-            const docsContent = utils.getElement(SELECTORS.DOCS_CONTENT);
-            docsContent.innerHTML = utils.createElement('div', CLASSES.LOADING, 'Loading content...').outerHTML;
-            
-            const response = await fetch(contentUrl);
-            utils.log('Fetch response status:', response.status);
-            
+            const response = await fetch(`${NEWS_OPTIONS.FOLDER}/${file}`);
             if (!response.ok) {
-                throw new Error(`Failed to load content: ${response.status} ${response.statusText}`);
+                throw new Error(`${response.status} ${response.statusText}`);
             }
-            
-            const text = await response.text();
-            utils.log('Content received:', text.substring(0, 200) + '...');
-            
-            if (!text) {
-                throw new Error('Received empty content');
+            const { data, body } = FrontMatter.parse(await response.text());
+            const time = new Date(data.date).getTime();
+            if (!data.title || isNaN(time)) {
+                utils.error('News post needs a title and a date:', file);
+                return null;
             }
-            
-            this.displayContent(text, docsContent);
+
+            return {
+                slug: file.replace(/\.md$/i, ''),
+                title: data.title,
+                date: String(data.date),
+                time,
+                lastUpdated: data.lastUpdated ? String(data.lastUpdated) : null,
+                description: data.description || null,
+                tags: data.tags || [],
+                featured: data.featured === true,
+                link: data.link || null,
+                linkLabel: data.linkLabel || 'Read more',
+                draft: data.draft,
+                body
+            };
         } catch (error) {
-            this.handleError(error, element.getAttribute('remote-md'));
+            utils.error(`Error loading news post ${file}:`, error);
+            return null;
         }
-        utils.log('=== loadRemoteContent END ===');
     }
 
-    static displayContent(text, container) {
-        // Check if content is empty or just whitespace
-        if (!text || text.trim() === '') {
-            const contentWrapper = utils.createElement('div', 'markdown-content');
-            contentWrapper.innerHTML = this.createUnderConstructionContent();
-            container.innerHTML = '';
-            container.appendChild(contentWrapper);
+    static readState() {
+        const params = new URLSearchParams(window.location.search);
+        return {
+            post: params.get('post'),
+            tag: params.get('tag'),
+            page: Math.max(1, parseInt(params.get('page'), 10) || 1)
+        };
+    }
+
+    static href({ post = null, tag = null, page = 1 } = {}) {
+        const params = new URLSearchParams();
+        if (post) params.set('post', post);
+        if (tag) params.set('tag', tag);
+        if (page > 1) params.set('page', page);
+        if (utils.isPreviewMode()) params.set('preview', '1');
+        const query = params.toString();
+        return query ? `${NEWS_OPTIONS.PAGE}?${query}` : NEWS_OPTIONS.PAGE;
+    }
+
+    static tagId(tag) {
+        return ContentLoader.generateHeadingId(tag);
+    }
+
+    // "2026-03" is a month, "2024-03-15" a day; both are read as UTC so the day does not shift
+    static formatDate(value) {
+        const options = /^\d{4}-\d{2}$/.test(value)
+            ? { year: 'numeric', month: 'long' }
+            : { year: 'numeric', month: 'long', day: 'numeric' };
+        return new Date(value).toLocaleDateString(undefined, { ...options, timeZone: 'UTC' });
+    }
+
+    render() {
+        const state = NewsFeed.readState();
+        if (state.post) {
+            this.renderPost(state.post);
+        } else {
+            this.renderList(state);
+        }
+    }
+
+    renderList({ tag, page }) {
+        const posts = tag
+            ? this.posts.filter(post => post.tags.some(postTag => NewsFeed.tagId(postTag) === tag))
+            : this.posts;
+        const pageCount = Math.max(1, Math.ceil(posts.length / NEWS_OPTIONS.PAGE_SIZE));
+        const currentPage = Math.min(page, pageCount);
+        const start = (currentPage - 1) * NEWS_OPTIONS.PAGE_SIZE;
+
+        this.container.innerHTML = '';
+        this.container.appendChild(this.createToolbar(tag));
+        if (posts.length === 0) {
+            this.container.appendChild(utils.createElement('p', 'news-empty', 'No news with this tag yet.'));
+        }
+        posts.slice(start, start + NEWS_OPTIONS.PAGE_SIZE).forEach(post => {
+            this.container.appendChild(NewsFeed.createArticle(post, { linkTitle: true }));
+        });
+        if (pageCount > 1) {
+            this.container.appendChild(this.createPagination(tag, currentPage, pageCount));
+        }
+        this.updatePageMeta(null);
+    }
+
+    renderPost(slug) {
+        const post = this.posts.find(item => item.slug === slug);
+        this.container.innerHTML = `<a class="news-back" href="${utils.escapeHtml(NewsFeed.href())}" data-news-link><i class="fas fa-arrow-left"></i> All news</a>`;
+
+        if (!post) {
+            this.container.appendChild(utils.createElement('div', 'content-state content-state-not-found', `
+                <div class="content-state-icon"><i class="fas fa-newspaper"></i></div>
+                <h2>Post Not Found</h2>
+                <p>There is no news post <code>${utils.escapeHtml(slug)}</code>. It may have been renamed or removed.</p>
+            `));
+            this.updatePageMeta(null);
             return;
         }
 
-        const html = marked.parse(text);
-        const contentWrapper = utils.createElement('div', 'markdown-content');
-        contentWrapper.innerHTML = html;
-        
-        // Add IDs to headings
-        this.addHeadingIds(contentWrapper);
-        
-        container.innerHTML = '';
-        container.appendChild(contentWrapper);
-        this.highlightCodeBlocks(contentWrapper);
+        const article = NewsFeed.createArticle(post, { linkTitle: false });
+        this.container.appendChild(article);
+        this.updatePageMeta(post, article.querySelector('.news-body'));
     }
 
-    static addHeadingIds(container) {
-        // Find all heading elements (h1, h2, h3, h4, h5, h6)
-        const headings = container.querySelectorAll('h1, h2, h3, h4, h5, h6');
-        
-        headings.forEach(heading => {
-            // Get the text content of the heading
-            const text = heading.textContent.trim();
-            
-            // Convert to URL-friendly ID
-            const id = this.generateHeadingId(text);
-            
-            // Set the ID if it doesn't already exist
-            if (!heading.id) {
-                heading.id = id;
+    static createArticle(post, { linkTitle }) {
+        const article = utils.createElement('article', post.featured ? 'news-item featured-news' : 'news-item');
+
+        if (post.tags.length > 0) {
+            article.appendChild(utils.createElement('div', 'news-tags', post.tags.map(tag => {
+                const style = NEWS_OPTIONS.TAG_STYLES[tag] || {};
+                const className = style.className ? `news-tag ${style.className}` : 'news-tag';
+                return `<a class="${className}" href="${utils.escapeHtml(this.href({ tag: this.tagId(tag) }))}" data-news-link><i class="${style.icon || NEWS_OPTIONS.DEFAULT_TAG_ICON}"></i> ${utils.escapeHtml(tag)}</a>`;
+            }).join('')));
+        }
+
+        const title = utils.escapeHtml(post.title);
+        article.appendChild(utils.createElement('h2', null, linkTitle
+            ? `<a href="${utils.escapeHtml(this.href({ post: post.slug }))}" data-news-link>${title}</a>`
+            : title));
+        article.appendChild(utils.createElement('div', 'date',
+            `<time datetime="${utils.escapeHtml(post.date)}">${utils.escapeHtml(this.formatDate(post.date))}</time>`));
+        if (post.draft) {
+            article.querySelector('.date').insertAdjacentHTML('beforeend',
+                ' <span class="page-header-badge page-header-draft"><i class="fas fa-pencil-alt"></i> Draft</span>');
+        }
+        article.appendChild(this.renderContent(post));
+        return article;
+    }
+
+    // The post body, rendered like a documentation page, and its "read more" link
+    static renderContent(post) {
+        const content = utils.createElement('div', 'news-body');
+        content.appendChild(HtmlSanitizer.sanitize(ContentLoader.parseMarkdown(post.body), 'local'));
+        Callouts.enhance(content);
+        ContentLoader.rewriteLinks(content);
+        if (window.hljs) {
+            ContentLoader.highlightCodeBlocks(content);
+        }
+        CodeBlockEnhancer.enhance(content);
+
+        if (post.link) {
+            const link = utils.createElement('a', 'read-more', `${utils.escapeHtml(post.linkLabel)} <i class="fas fa-arrow-right"></i>`);
+            link.href = post.link;
+            if (/^https?:$/.test(link.protocol) && link.origin !== window.location.origin) {
+                link.target = '_blank';
+                link.rel = 'noopener noreferrer';
             }
-        });
+            content.appendChild(link);
+        }
+        return content;
     }
 
-    static generateHeadingId(text) {
-        return text
-            .toLowerCase()
-            .replace(/[^\w\s-]/g, '') // Remove special characters except spaces and hyphens
-            .replace(/\s+/g, '-') // Replace spaces with hyphens
-            .replace(/-+/g, '-') // Replace multiple hyphens with single hyphen
-            .replace(/^-+|-+$/g, ''); // Remove leading and trailing hyphens
+    // Front matter description, or the start of the first paragraph
+    static getSummary(post, content) {
+        if (post.description) return post.description;
+        const paragraph = content.querySelector('p');
+        const text = paragraph ? paragraph.textContent.replace(/\s+/g, ' ').trim() : '';
+        return text.length > NEWS_OPTIONS.SUMMARY_LENGTH
+            ? `${text.substring(0, NEWS_OPTIONS.SUMMARY_LENGTH).replace(/\s+\S*$/, '')}…`
+            : text;
     }
 
-    static handleError(error, source) {
-        utils.error('Error loading content:', error);
-        const docsContent = utils.getElement(SELECTORS.DOCS_CONTENT);
-        const contentWrapper = utils.createElement('div', 'markdown-content');
-        contentWrapper.innerHTML = this.createUnderConstructionContent();
-        docsContent.innerHTML = '';
-        docsContent.appendChild(contentWrapper);
+    createToolbar(activeTag) {
+        const counts = new Map();
+        this.posts.forEach(post => post.tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1)));
+
+        const chip = (label, tag, count) => {
+            const active = tag === activeTag;
+            return `<a class="news-filter${active ? ' active' : ''}" href="${utils.escapeHtml(NewsFeed.href({ tag }))}" data-news-link${active ? ' aria-current="true"' : ''}>${utils.escapeHtml(label)} <span class="news-filter-count">${count}</span></a>`;
+        };
+        const chips = [chip('All', null, this.posts.length)];
+        Array.from(counts.keys()).sort().forEach(tag => chips.push(chip(tag, NewsFeed.tagId(tag), counts.get(tag))));
+
+        const feeds = NEWS_OPTIONS.FEEDS.map(feed =>
+            `<a class="news-feed-link" href="${feed.href}" title="Subscribe with ${feed.label}"><i class="${feed.icon}"></i> ${feed.label}</a>`).join('');
+
+        return utils.createElement('div', 'news-toolbar', `
+            <nav class="news-filters" aria-label="Filter news by tag">${chips.join('')}</nav>
+            <div class="news-feeds">${feeds}</div>
+        `);
     }
 
-    static createUnderConstructionContent() {
-        return `
-            <div class="under-construction">
-                <div class="construction-icon">
-                    <svg width="64" height="64" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                        <path d="M12 2L13.09 8.26L20 9L13.09 9.74L12 16L10.91 9.74L4 9L10.91 8.26L12 2Z" fill="#FFA500"/>
-                        <path d="M19 14L20.09 20.26L27 21L20.09 21.74L19 28L17.91 21.74L11 21L17.91 20.26L19 14Z" fill="#FFA500"/>
-                        <path d="M5 14L6.09 20.26L13 21L6.09 21.74L5 28L3.91 21.74L-3 21L3.91 20.26L5 14Z" fill="#FFA500"/>
-                        <path d="M12 2L13.09 8.26L20 9L13.09 9.74L12 16L10.91 9.74L4 9L10.91 8.26L12 2Z" fill="#FFA500" opacity="0.3"/>
-                        <path d="M19 14L20.09 20.26L27 21L20.09 21.74L19 28L17.91 21.74L11 21L17.91 20.26L19 14Z" fill="#FFA500" opacity="0.3"/>
-                        <path d="M5 14L6.09 20.26L13 21L6.09 21.74L5 28L3.91 21.74L-3 21L3.91 20.26L5 14Z" fill="#FFA500" opacity="0.3"/>
-                    </svg>
-                </div>
-                <h2>🚧 Under Construction 🚧</h2>
-                <p>This section is currently being developed and will be available soon.</p>
-                <p>Please check back later for updates.</p>
-            </div>
-        `;
+    createPagination(tag, currentPage, pageCount) {
+        const link = (page, html, label) => `<a class="news-page-link" href="${utils.escapeHtml(NewsFeed.href({ tag, page }))}" data-news-link aria-label="${label}">${html}</a>`;
+        const parts = [];
+        if (currentPage > 1) {
+            parts.push(link(currentPage - 1, '<i class="fas fa-arrow-left"></i> Newer', 'Newer posts'));
+        }
+        parts.push(`<span class="news-page-status">Page ${currentPage} of ${pageCount}</span>`);
+        if (currentPage < pageCount) {
+            parts.push(link(currentPage + 1, 'Older <i class="fas fa-arrow-right"></i>', 'Older posts'));
+        }
+
+        const pagination = utils.createElement('nav', 'news-pagination', parts.join(''));
+        pagination.setAttribute('aria-label', 'News pages');
+        return pagination;
     }
 
-    static highlightCodeBlocks(container) {
+    // A post's permalink gets its own title, description and canonical URL; the list keeps the page's defaults
+    updatePageMeta(post, content = null) {
+        const description = utils.getElement(PAGE_META.DESCRIPTION);
+        const canonical = utils.getElement(PAGE_META.CANONICAL);
+        if (!this.defaultMeta) {
+            this.defaultMeta = {
+                title: document.title,
+                description: description ? description.getAttribute('content') : '',
+                canonical: canonical ? canonical.getAttribute('href') : null
+            };
+        }
+
+        document.title = post ? `${post.title}${NEWS_OPTIONS.TITLE_SUFFIX}` : this.defaultMeta.title;
+        if (description) {
+            description.setAttribute('content', post ? NewsFeed.getSummary(post, content) : this.defaultMeta.description);
+        }
+        if (canonical) {
+            canonical.setAttribute('href', post
+                ? new URL(`${NEWS_OPTIONS.PAGE}?post=${encodeURIComponent(post.slug)}`, window.location.href).href
+                : this.defaultMeta.canonical);
+        }
+    }
+
+    // Filters, pages and permalinks are rendered in place; the URL keeps them shareable
+    handleLinkClick(e) {
+        const link = e.target.closest('a[data-news-link]');
+        if (!link || e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) {
+            return;
+        }
+
+        e.preventDefault();
+        window.history.pushState(null, '', link.href);
+        this.render();
+        if (this.container.getBoundingClientRect().top < 0) {
+            this.container.scrollIntoView({ block: 'start' });
+        }
+    }
+}
+
+// Offline Manager class to register the service worker and report offline and update status
+class OfflineManager {
+    constructor() {
+        this.banner = null;
+        this.reloadRequested = false;
+
+        if (!('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) {
+            utils.log('Service workers not available, offline mode disabled');
+            return;
+        }
+
+        this.registerServiceWorker();
+        this.initializeConnectivityListeners();
+    }
+
+    async registerServiceWorker() {
         try {
-            utils.log('Highlighting code blocks');
-            container.querySelectorAll('pre code').forEach((block) => {
-                hljs.highlightElement(block);
+            const registration = await navigator.serviceWorker.register('sw.js');
+            utils.log('Service worker registered with scope:', registration.scope);
+
+            // An update downloaded during a previous visit is still waiting
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                this.showUpdateBanner(registration.waiting);
+            }
+
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker.addEventListener('statechange', () => {
+                    if (worker.state !== 'installed') return;
+
+                    if (navigator.serviceWorker.controller) {
+                        this.showUpdateBanner(worker);
+                    } else {
+                        this.showBanner('Documentation is now available offline.', { autoHide: true });
+                    }
+                });
+            });
+
+            // The first install also changes controller, so only reload when the reader asked for it
+            navigator.serviceWorker.addEventListener('controllerchange', () => {
+                if (this.reloadRequested) {
+                    this.reloadRequested = false;
+                    window.location.reload();
+                }
             });
         } catch (error) {
-            utils.error('Error in highlightCodeBlocks:', error);
+            utils.error('Service worker registration failed:', error);
+        }
+    }
+
+    initializeConnectivityListeners() {
+        window.addEventListener('offline', () => {
+            this.showBanner('You are offline. Cached documentation is still available.');
+        });
+        window.addEventListener('online', () => {
+            this.hideBanner();
+        });
+    }
+
+    showUpdateBanner(worker) {
+        this.showBanner('A documentation update is available.', {
+            actionLabel: 'Reload',
+            onAction: () => {
+                this.reloadRequested = true;
+                worker.postMessage({ type: 'SKIP_WAITING' });
+            }
+        });
+    }
+
+    showBanner(message, { actionLabel = null, onAction = null, autoHide = false } = {}) {
+        this.hideBanner();
+
+        const banner = utils.createElement('div', 'offline-banner');
+        banner.setAttribute('role', 'status');
+        banner.appendChild(utils.createElement('i', 'fas fa-wifi'));
+
+        const text = utils.createElement('span', 'offline-banner-message');
+        text.textContent = message;
+        banner.appendChild(text);
+
+        if (actionLabel && onAction) {
+            const actionButton = utils.createElement('button', 'offline-banner-action');
+            actionButton.textContent = actionLabel;
+            actionButton.addEventListener('click', onAction);
+            banner.appendChild(actionButton);
+        }
+
+        const closeButton = utils.createElement('button', 'offline-banner-close', '<i class="fas fa-times"></i>');
+        closeButton.setAttribute('aria-label', 'Dismiss');
+        closeButton.addEventListener('click', () => this.hideBanner());
+        banner.appendChild(closeButton);
+
+        document.body.appendChild(banner);
+        this.banner = banner;
+
+        if (autoHide) {
+            setTimeout(() => {
+                if (this.banner === banner) this.hideBanner();
+            }, 5000);
+        }
+    }
+
+    hideBanner() {
+        if (this.banner) {
+            this.banner.remove();
+            this.banner = null;
         }
     }
 }
@@ -820,15 +4975,59 @@ class ContentLoader {
 document.addEventListener('DOMContentLoaded', () => {
     utils.log('DOM fully loaded');
     
+    // Initialize ThemeManager (header theme toggle, on every page)
+    ThemeManager.initialize();
+
+    let commandPalette = null;
+
     // Initialize MenuManager (for documentation pages)
     if (utils.getElement('.docs-sidebar') || utils.getElement('.docs-content')) {
         utils.log('Initializing MenuManager for documentation page');
-        new MenuManager();
+        const menuManager = new MenuManager();
+
+        // Initialize SearchManager (for the docs sidebar search box)
+        let searchManager = null;
+        if (utils.getElement(SELECTORS.SEARCH_INPUT)) {
+            utils.log('Initializing SearchManager for documentation search');
+            searchManager = new SearchManager(menuManager);
+        }
+
+        // Initialize CommandPalette (Ctrl/Cmd+K "go to" dialog)
+        if (utils.getElement(SELECTORS.COMMAND_PALETTE)) {
+            commandPalette = new CommandPalette(menuManager, searchManager);
+        }
+
+        // Initialize PageTocManager (for the "On this page" panel)
+        if (utils.getElement(SELECTORS.PAGE_TOC)) {
+            utils.log('Initializing PageTocManager for in-page navigation');
+            new PageTocManager(menuManager.router);
+        }
+
+        // Initialize PageNavigationManager (breadcrumbs and previous/next links)
+        if (utils.getElement(SELECTORS.DOCS_CONTENT)) {
+            new PageNavigationManager(menuManager);
+        }
     }
     
+    // Initialize CommandBuilder (interactive yo water quick start on the home page)
+    utils.getElements(COMMAND_BUILDER_OPTIONS.ROOTS).forEach(root => new CommandBuilder(root));
+
+    // Initialize NewsFeed (for the news page)
+    const newsContainer = utils.getElement(SELECTORS.NEWS_CONTAINER);
+    if (newsContainer) {
+        utils.log('Initializing NewsFeed for news page');
+        new NewsFeed(newsContainer);
+    }
+
     // Initialize MobileManager (for pages with mobile menu)
     if (utils.getElement('.mobile-menu-toggle') || utils.getElement('.mobile-toggle')) {
         utils.log('Initializing MobileManager for mobile functionality');
         new MobileManager();
     }
+    
+    // Initialize KeyboardShortcuts (global shortcuts, and the command palette on documentation pages)
+    new KeyboardShortcuts(commandPalette);
+
+    // Initialize OfflineManager (service worker for offline reading)
+    new OfflineManager();
 });
\ No newline at end of file
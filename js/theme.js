@@ -0,0 +1,20 @@
+// Applies the colour theme before the page is painted, so dark mode does not flash white.
+// Loaded from <head> on every page; the toggle itself is ThemeManager in main.js.
+// Keep the storage key and colours in sync with THEME_OPTIONS in main.js.
+(function () {
+    let theme = null;
+    try {
+        theme = localStorage.getItem('water-docs:theme');
+    } catch (error) {
+        // Storage disabled: follow the system preference
+    }
+    if (theme !== 'light' && theme !== 'dark') {
+        theme = window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+    }
+
+    document.documentElement.setAttribute('data-theme', theme);
+    const themeColor = document.querySelector('meta[name="theme-color"]');
+    if (themeColor) {
+        themeColor.setAttribute('content', theme === 'dark' ? '#0f172a' : '#0066cc');
+    }
+})();
@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+// Writes rss.xml (RSS 2.0) and atom.xml (Atom 1.0) from the news posts in content/news. Posts are
+// loaded and rendered by NewsFeed in js/main.js, so the feeds show the same HTML as news.html.
+// Each entry links to the post's permalink, news.html?post=<slug>. Like the root sitemap.xml, the feeds
+// are committed for the site served from the repository, and their dates come from the posts only.
+//
+// Usage: node scripts/generate-feeds.js [--check]   (part of npm run build; --check only verifies the committed feeds)
+const path = require('path');
+const site = require('./site');
+
+const NEWS_URL = new URL('news.html', site.SITE_URL).href;
+const FEED_TITLE = 'Water Framework News';
+const FEED_DESCRIPTION = 'Releases, new modules and announcements from the Water Framework team.';
+const MAX_ENTRIES = 20;
+const FEEDS = {
+    rss: 'rss.xml',
+    atom: 'atom.xml'
+};
+
+// Feed readers show the content outside the site, so every link and image must be absolute
+function renderEntry(page, post) {
+    const content = page.NewsFeed.renderContent(post);
+    content.querySelectorAll('.external-link-icon, .code-block-copy').forEach(element => element.remove());
+    content.querySelectorAll('[href]').forEach(element => element.setAttribute('href', element.href));
+    content.querySelectorAll('[src]').forEach(element => element.setAttribute('src', element.src));
+
+    return {
+        ...post,
+        url: new URL(`news.html?post=${encodeURIComponent(post.slug)}`, site.SITE_URL).href,
+        published: new Date(post.date),
+        updated: new Date(post.lastUpdated || post.date),
+        summary: page.NewsFeed.getSummary(post, content),
+        html: content.innerHTML
+    };
+}
+
+function createRss(entries) {
+    const { escapeXml } = site;
+    const items = entries.map(entry => [
+        '        <item>',
+        `            <title>${escapeXml(entry.title)}</title>`,
+        `            <link>${escapeXml(entry.url)}</link>`,
+        `            <guid isPermaLink="true">${escapeXml(entry.url)}</guid>`,
+        `            <pubDate>${entry.published.toUTCString()}</pubDate>`,
+        ...entry.tags.map(tag => `            <category>${escapeXml(tag)}</category>`),
+        `            <description>${escapeXml(entry.html)}</description>`,
+        '        </item>'
+    ].join('\n'));
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+        '    <channel>',
+        `        <title>${FEED_TITLE}</title>`,
+        `        <link>${escapeXml(NEWS_URL)}</link>`,
+        `        <description>${escapeXml(FEED_DESCRIPTION)}</description>`,
+        '        <language>en-us</language>',
+        `        <atom:link href="${escapeXml(new URL(FEEDS.rss, site.SITE_URL).href)}" rel="self" type="application/rss+xml"/>`,
+        entries.length > 0 ? `        <lastBuildDate>${lastUpdated(entries).toUTCString()}</lastBuildDate>` : null,
+        ...items,
+        '    </channel>',
+        '</rss>',
+        ''
+    ].filter(line => line !== null).join('\n');
+}
+
+function createAtom(entries) {
+    const { escapeXml } = site;
+    const items = entries.map(entry => [
+        '    <entry>',
+        `        <title>${escapeXml(entry.title)}</title>`,
+        `        <link href="${escapeXml(entry.url)}"/>`,
+        `        <id>${escapeXml(entry.url)}</id>`,
+        `        <published>${entry.published.toISOString()}</published>`,
+        `        <updated>${entry.updated.toISOString()}</updated>`,
+        ...entry.tags.map(tag => `        <category term="${escapeXml(tag)}"/>`),
+        entry.summary ? `        <summary>${escapeXml(entry.summary)}</summary>` : null,
+        `        <content type="html">${escapeXml(entry.html)}</content>`,
+        '    </entry>'
+    ].filter(line => line !== null).join('\n'));
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<feed xmlns="http://www.w3.org/2005/Atom">',
+        `    <title>${FEED_TITLE}</title>`,
+        `    <subtitle>${escapeXml(FEED_DESCRIPTION)}</subtitle>`,
+        `    <link href="${escapeXml(NEWS_URL)}"/>`,
+        `    <link rel="self" type="application/atom+xml" href="${escapeXml(new URL(FEEDS.atom, site.SITE_URL).href)}"/>`,
+        `    <id>${escapeXml(NEWS_URL)}</id>`,
+        // Atom requires a date; an empty feed uses the epoch so rebuilding it does not change the file
+        `    <updated>${(entries.length > 0 ? lastUpdated(entries) : new Date(0)).toISOString()}</updated>`,
+        '    <author>',
+        '        <name>Water Framework</name>',
+        '    </author>',
+        `    <icon>${escapeXml(new URL('favicon.png', site.SITE_URL).href)}</icon>`,
+        ...items,
+        '</feed>',
+        ''
+    ].join('\n');
+}
+
+// Taken from the posts rather than the clock, so an unchanged feed is byte-for-byte the same
+function lastUpdated(entries) {
+    return new Date(Math.max(...entries.map(entry => entry.updated.getTime())));
+}
+
+async function main() {
+    const page = await site.createPage(NEWS_URL, 'feeds');
+    const posts = await page.NewsFeed.loadPosts();
+    const entries = posts.slice(0, MAX_ENTRIES).map(post => renderEntry(page, post));
+    page.window.close();
+
+    site.writeGenerated(path.join(site.ROOT, FEEDS.rss), createRss(entries));
+    site.writeGenerated(path.join(site.ROOT, FEEDS.atom), createAtom(entries));
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
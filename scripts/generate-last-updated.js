@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+// Writes content/last-updated.json: the last commit that touched each documentation page.
+// The documentation footer reads it to show when a page was last updated. The file is a build
+// output and is not committed: it would go stale with every content change and its commit links
+// would break on a rebase.
+//
+// Usage: node scripts/generate-last-updated.js   (part of npm run build)
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const CONTENT_DIR = 'content';
+const OUTPUT = path.join(ROOT, CONTENT_DIR, 'last-updated.json');
+
+function findMarkdownFiles(dir) {
+    return fs.readdirSync(path.join(ROOT, dir), { withFileTypes: true }).flatMap(entry => {
+        const relativePath = `${dir}/${entry.name}`;
+        if (entry.isDirectory()) return findMarkdownFiles(relativePath);
+        return entry.name.endsWith('.md') ? [relativePath] : [];
+    });
+}
+
+function lastCommit(file) {
+    const output = execFileSync('git', ['log', '-1', '--follow', '--format=%cI%x09%H', '--', file], { cwd: ROOT, encoding: 'utf8' }).trim();
+    if (!output) return null;
+    const [date, commit] = output.split('\t');
+    return { date, commit };
+}
+
+const files = {};
+findMarkdownFiles(CONTENT_DIR).sort().forEach(file => {
+    const commit = lastCommit(file);
+    if (commit) {
+        files[file] = commit;
+    } else {
+        console.warn(`Skipping ${file}: not committed yet`);
+    }
+});
+
+fs.writeFileSync(OUTPUT, JSON.stringify({ files }, null, 4) + '\n');
+console.log(`Wrote ${Object.keys(files).length} entries to ${path.relative(ROOT, OUTPUT)}`);
@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+// Writes the sitemaps from the default version's navigation.json: the site's pages, every documentation
+// page and news posts.
+//
+// - sitemap.xml is for the site served from the repository, where documentation pages live at
+//   documentation.html?page=<id>. It is committed, so its dates come only from front matter (last-updated)
+//   and it changes only with the sidebar or the posts. Missing, draft and empty pages are left out.
+// - dist/sitemap.xml is for the built site: every page that scripts/prerender.js wrote as dist/<page-id>.html,
+//   dated by front matter or last commit. Pages the prerender skipped (missing files, drafts, module READMEs
+//   with --skip-remote or a failed fetch) are left out.
+//
+// Usage: node scripts/generate-sitemap.js [--check]   (part of npm run build, after prerender.js; --check
+//        only verifies that the committed sitemap.xml is up to date)
+const fs = require('fs');
+const path = require('path');
+const site = require('./site');
+
+const SITEMAP = 'sitemap.xml';
+const SITE_PAGES = [
+    { file: 'index.html', loc: site.SITE_URL, changefreq: 'weekly', priority: '1.0' },
+    { file: 'documentation.html', changefreq: 'weekly', priority: '0.9' },
+    { file: 'news.html', changefreq: 'weekly', priority: '0.7' }
+];
+
+function urlEntry({ comment, loc, lastmod, changefreq, priority }) {
+    return [
+        `    <!-- ${comment.replace(/--/g, '-')} -->`,
+        '    <url>',
+        `        <loc>${site.escapeXml(loc)}</loc>`,
+        lastmod ? `        <lastmod>${site.escapeXml(lastmod)}</lastmod>` : null,
+        `        <changefreq>${changefreq}</changefreq>`,
+        `        <priority>${priority}</priority>`,
+        '    </url>'
+    ].filter(line => line !== null).join('\n');
+}
+
+function createSitemap(entries) {
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<!-- Generated by scripts/generate-sitemap.js, do not edit by hand -->',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+        '',
+        entries.map(urlEntry).join('\n\n'),
+        '',
+        '</urlset>',
+        ''
+    ].join('\n');
+}
+
+// built: the entries for dist/ (static pages, commit dates); otherwise those for the repository
+function collectEntries(page, navigation, posts, { built, lastUpdated }) {
+    const entries = SITE_PAGES.map(sitePage => ({
+        comment: sitePage.file,
+        loc: sitePage.loc || new URL(sitePage.file, site.SITE_URL).href,
+        lastmod: built ? site.gitLastModified(sitePage.file) : null,
+        changefreq: sitePage.changefreq,
+        priority: sitePage.priority
+    }));
+
+    site.getPages(navigation).forEach(entry => {
+        const source = site.readPageSource(page, entry, lastUpdated);
+        if (built && !fs.existsSync(path.join(site.DIST_DIR, `${entry.id}.html`))) {
+            console.warn(`Skipping ${entry.id} in dist/${SITEMAP}: not written by the prerender`);
+            return;
+        }
+        if (!built && entry.md && (!source.body || !source.body.trim() || source.data.draft)) {
+            console.warn(`Skipping ${entry.id} in ${SITEMAP}: ${source.body === null ? 'missing file' : 'draft or empty page'}`);
+            return;
+        }
+        entries.push({
+            comment: entry.section ? `${entry.section.title}: ${entry.title}` : entry.title,
+            loc: built ? site.pageUrl(entry.id) : new URL(`${site.SHELL}?page=${encodeURIComponent(entry.id)}`, site.SITE_URL).href,
+            lastmod: built ? source.lastModified : source.data.lastUpdated || null,
+            changefreq: 'monthly',
+            priority: entry.section ? '0.7' : '0.8'
+        });
+    });
+
+    // Each news post has a permalink on the news page
+    posts.forEach(post => {
+        entries.push({
+            comment: `News: ${post.title}`,
+            loc: new URL(`news.html?post=${encodeURIComponent(post.slug)}`, site.SITE_URL).href,
+            lastmod: post.lastUpdated || post.date,
+            changefreq: 'yearly',
+            priority: '0.5'
+        });
+    });
+    return entries;
+}
+
+async function main() {
+    const page = await site.createPage(new URL(site.SHELL, site.SITE_URL).href, 'sitemap');
+    const navigation = await site.loadNavigation(page);
+    const posts = await page.NewsFeed.loadPosts();
+
+    const entries = collectEntries(page, navigation, posts, { built: false, lastUpdated: { files: {} } });
+    site.writeGenerated(path.join(site.ROOT, SITEMAP), createSitemap(entries));
+
+    // dist/ is not committed, so --check only looks at sitemap.xml
+    if (site.CHECK) {
+        page.window.close();
+        return;
+    }
+    if (fs.existsSync(path.join(site.DIST_DIR, site.SHELL))) {
+        const builtEntries = collectEntries(page, navigation, posts, { built: true, lastUpdated: site.readLastUpdated() });
+        const output = path.join(site.DIST_DIR, SITEMAP);
+        fs.writeFileSync(output, createSitemap(builtEntries));
+        console.log(`Wrote ${builtEntries.length} URLs to ${path.relative(site.ROOT, output)}`);
+    } else {
+        console.warn(`No built site in ${path.relative(site.ROOT, site.DIST_DIR)}/: run node scripts/prerender.js first for dist/${SITEMAP}`);
+    }
+    page.window.close();
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
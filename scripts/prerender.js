@@ -0,0 +1,219 @@
+#!/usr/bin/env node
+// Pre-renders every documentation page to static HTML for search engines, link previews and
+// readers without JavaScript, who otherwise get the empty documentation.html shell.
+//
+// Pages are rendered by js/main.js itself inside jsdom, so front matter, callouts, heading ids and
+// highlighting match the live site. The output is a copy of the site in dist/ with one
+// <page-id>.html per sidebar page, including TechArticle and BreadcrumbList structured data.
+// On those pages the SPA hydrates on top of the static content, and documentation.html?page=<id>
+// links keep working as before. Pages are rendered first and linked afterwards: links, breadcrumbs and the
+// static-pages meta tag (which the app reads for canonical URLs) only use <page-id>.html for pages that were
+// written, and send the rest to documentation.html?page=<id>.
+//
+// Usage: npm run build   (or node scripts/prerender.js [--skip-remote] to leave out module READMEs)
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const site = require('./site');
+
+const OUTPUT_DIR = site.DIST_DIR;
+const SITE_FILES = [
+    'index.html', 'news.html', 'documentation.html', 'css', 'js', 'content', 'images',
+    'favicon.png', 'manifest.json', 'sw.js', 'robots.txt', 'rss.xml', 'atom.xml', 'License.md'
+];
+const SKIP_REMOTE = process.argv.includes('--skip-remote');
+
+const shellScripts = new Set(Array.from(new JSDOM(site.shellHtml).window.document.querySelectorAll('script[src]'))
+    .map(script => script.getAttribute('src')));
+
+function setMeta(document, selector, value) {
+    const element = document.querySelector(selector);
+    if (element) element.setAttribute('content', value);
+}
+
+// Without JavaScript, links must point at the static pages rather than at ?page= or #id
+function staticHref(pageId, headingId, writtenIds) {
+    const hash = headingId ? `#${encodeURIComponent(headingId)}` : '';
+    return writtenIds.has(pageId)
+        ? `${encodeURIComponent(pageId)}.html${hash}`
+        : `${site.SHELL}?page=${encodeURIComponent(pageId)}${hash}`;
+}
+
+function rewriteStaticLinks(document, entry, writtenIds) {
+    document.querySelectorAll('.docs-sidebar nav a[href^="#"]').forEach(link => {
+        const pageId = link.getAttribute('href').substring(1);
+        link.setAttribute('href', staticHref(pageId, null, writtenIds));
+        if (pageId === entry.id) link.classList.add('active');
+    });
+    document.querySelectorAll('#docs-content a[data-doc-link="page"]').forEach(link => {
+        link.setAttribute('href', staticHref(link.getAttribute('data-doc-page'), link.getAttribute('data-doc-heading'), writtenIds));
+    });
+}
+
+function createStructuredData(entry, source, description, writtenIds) {
+    const url = site.pageUrl(entry.id);
+    const crumbs = [
+        { name: 'Home', item: site.SITE_URL },
+        { name: 'Documentation', item: new URL(site.SHELL, site.SITE_URL).href }
+    ];
+    if (entry.section) {
+        crumbs.push({ name: entry.section.title, item: new URL(staticHref(entry.section.id, null, writtenIds), site.SITE_URL).href });
+    }
+    crumbs.push({ name: entry.title, item: url });
+
+    const { data } = source;
+    const article = {
+        '@type': 'TechArticle',
+        headline: data.title || entry.title,
+        description,
+        url,
+        mainEntityOfPage: url,
+        inLanguage: 'en-US',
+        isAccessibleForFree: true,
+        isPartOf: {
+            '@type': 'WebSite',
+            name: 'Water Framework',
+            url: site.SITE_URL
+        },
+        publisher: {
+            '@type': 'Organization',
+            name: 'Water Framework',
+            logo: {
+                '@type': 'ImageObject',
+                url: new URL('images/water-logo.png', site.SITE_URL).href
+            }
+        }
+    };
+    if (entry.section) article.articleSection = entry.section.title;
+    if (data.tags && data.tags.length > 0) article.keywords = data.tags.join(', ');
+    if (data.authors && data.authors.length > 0) {
+        article.author = data.authors.map(name => ({ '@type': 'Person', name }));
+    }
+    if (source.lastModified) article.dateModified = source.lastModified;
+
+    return {
+        '@context': 'https://schema.org',
+        '@graph': [
+            article,
+            {
+                '@type': 'BreadcrumbList',
+                itemListElement: crumbs.map((crumb, index) => ({ '@type': 'ListItem', position: index + 1, ...crumb }))
+            }
+        ]
+    };
+}
+
+// The page's HTML, still to be linked by linkPage once every page has been rendered
+async function renderPage(entry, lastUpdated) {
+    const url = site.pageUrl(entry.id);
+    const page = await site.createPage(url, entry.id, { skipRemote: SKIP_REMOTE });
+    const { document, ContentLoader } = page;
+
+    try {
+        await site.loadNavigation(page);
+        // As MenuManager.selectMenuItemAndLoadContent does: title, description and canonical URL for the page
+        ContentLoader.currentPage = { id: entry.id, title: entry.title, description: entry.description || null };
+        if (entry.md) {
+            await ContentLoader.loadLocalContent(entry.md);
+        } else {
+            await ContentLoader.loadRemoteContent(document.querySelector(`.docs-sidebar nav a[href="#${entry.id}"]`));
+        }
+
+        // Missing, draft and empty pages are left to the SPA
+        const docsContent = document.getElementById('docs-content');
+        if (!docsContent.querySelector('.markdown-content') || docsContent.querySelector('.content-state, .under-construction')) {
+            return null;
+        }
+        docsContent.setAttribute('data-prerendered-page', entry.id);
+
+        document.querySelector('link[rel="canonical"]').setAttribute('href', url);
+        const description = document.querySelector('meta[name="description"]').getAttribute('content');
+        setMeta(document, 'meta[name="title"]', document.title);
+        setMeta(document, 'meta[property="og:type"]', 'article');
+        setMeta(document, 'meta[property="og:url"]', url);
+        setMeta(document, 'meta[property="og:title"]', document.title);
+        setMeta(document, 'meta[property="og:description"]', description);
+        setMeta(document, 'meta[property="twitter:url"]', url);
+        setMeta(document, 'meta[property="twitter:title"]', document.title);
+        setMeta(document, 'meta[property="twitter:description"]', description);
+
+        // Leave the page as the browser would load it: no library added by the render, no theme choice
+        document.querySelectorAll('script[src]').forEach(script => {
+            if (!shellScripts.has(script.getAttribute('src'))) script.remove();
+        });
+        document.querySelectorAll('link[data-code-theme]').forEach(link => link.removeAttribute('disabled'));
+
+        return { entry, html: page.dom.serialize(), description, source: site.readPageSource(page, entry, lastUpdated) };
+    } finally {
+        page.window.close();
+    }
+}
+
+function linkPage({ entry, html, description, source }, writtenIds) {
+    const dom = new JSDOM(html);
+    const { document } = dom.window;
+    rewriteStaticLinks(document, entry, writtenIds);
+
+    // JSON-LD is data, not script, so the Content-Security-Policy does not block it
+    const structuredData = document.createElement('script');
+    structuredData.type = 'application/ld+json';
+    structuredData.textContent = JSON.stringify(createStructuredData(entry, source, description, writtenIds), null, 4)
+        .replace(/</g, '\\u003c');
+    document.head.appendChild(structuredData);
+    addStaticPagesMeta(document, writtenIds);
+    return dom.serialize();
+}
+
+function addStaticPagesMeta(document, writtenIds) {
+    const meta = document.createElement('meta');
+    meta.name = 'static-pages';
+    meta.content = Array.from(writtenIds).join(' ');
+    document.head.appendChild(meta);
+}
+
+function copySite() {
+    fs.rmSync(OUTPUT_DIR, { recursive: true, force: true });
+    fs.mkdirSync(OUTPUT_DIR);
+    SITE_FILES.forEach(file => {
+        fs.cpSync(path.join(site.ROOT, file), path.join(OUTPUT_DIR, file), { recursive: true });
+    });
+}
+
+async function main() {
+    const setup = await site.createPage(new URL(site.SHELL, site.SITE_URL).href, 'navigation');
+    const pages = site.getPages(await site.loadNavigation(setup))
+        .filter(entry => entry.md || !SKIP_REMOTE);
+    setup.window.close();
+
+    const clashes = pages.filter(entry => SITE_FILES.includes(`${entry.id}.html`));
+    if (clashes.length > 0) {
+        throw new Error(`Page ids clash with site files: ${clashes.map(entry => entry.id).join(', ')}`);
+    }
+
+    copySite();
+    const lastUpdated = site.readLastUpdated();
+    const rendered = [];
+    for (const entry of pages) {
+        const result = await renderPage(entry, lastUpdated);
+        if (result) {
+            rendered.push(result);
+        } else {
+            console.warn(`Skipping ${entry.id}: page could not be rendered`);
+        }
+    }
+
+    const writtenIds = new Set(rendered.map(result => result.entry.id));
+    rendered.forEach(result => {
+        fs.writeFileSync(path.join(OUTPUT_DIR, `${result.entry.id}.html`), linkPage(result, writtenIds));
+    });
+    const shellFile = path.join(OUTPUT_DIR, site.SHELL);
+    const shell = new JSDOM(fs.readFileSync(shellFile, 'utf8'));
+    addStaticPagesMeta(shell.window.document, writtenIds);
+    fs.writeFileSync(shellFile, shell.serialize());
+    console.log(`Wrote ${writtenIds.size} of ${pages.length} pages to ${path.relative(site.ROOT, OUTPUT_DIR)}/`);
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,155 @@
+// Shared by the build scripts: the site's layout, and js/main.js loaded in jsdom so the scripts read
+// navigation, front matter and pages exactly as the documentation app does.
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { marked } = require('marked');
+const hljs = require('highlight.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const DIST_DIR = path.join(ROOT, 'dist');
+const SITE_URL = 'https://water-framework.github.io/water-site/';
+const SHELL = 'documentation.html';
+const LAST_UPDATED_MANIFEST = 'content/last-updated.json';
+const REMOTE_TIMEOUT_MS = 15000;
+// Generated files that the site served from the repository needs are committed; --check verifies them instead
+const CHECK = process.argv.includes('--check');
+
+const shellHtml = fs.readFileSync(path.join(ROOT, SHELL), 'utf8');
+const mainScript = fs.readFileSync(path.join(ROOT, 'js/main.js'), 'utf8');
+
+// Site files are read from the working tree; module READMEs come from GitHub
+function createFetch(window, { skipRemote }) {
+    const sitePath = new URL(SITE_URL).pathname;
+    return async (input, init = {}) => {
+        const url = new URL(String(input), window.location.href);
+        if (url.href.startsWith(SITE_URL)) {
+            const file = path.join(ROOT, decodeURIComponent(url.pathname.slice(sitePath.length)));
+            if (!file.startsWith(ROOT + path.sep) || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+                return new Response('', { status: 404, statusText: 'Not Found' });
+            }
+            return new Response(fs.readFileSync(file), { status: 200, statusText: 'OK' });
+        }
+        if (skipRemote) {
+            throw new TypeError(`Skipping remote content: ${url.href}`);
+        }
+        // jsdom's AbortSignal cannot be passed to Node's fetch, so the timeout is set here
+        return fetch(url.href, { headers: init.headers, signal: AbortSignal.timeout(REMOTE_TIMEOUT_MS) });
+    };
+}
+
+// A documentation shell with main.js loaded but not started: it is evaluated once the document
+// has loaded, so its DOMContentLoaded handler never runs
+async function createPage(pageUrl, label, { skipRemote = false } = {}) {
+    // main.js logs every step; only its warnings and errors are worth showing, without stack traces
+    const report = (...args) => console.warn(`[${label}]`, ...args.map(arg => (arg && arg.stack ? arg.message : arg)));
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('error', report);
+    virtualConsole.on('warn', report);
+
+    const dom = new JSDOM(shellHtml, { url: pageUrl, runScripts: 'outside-only', virtualConsole });
+    const { window } = dom;
+    if (window.document.readyState !== 'complete') {
+        await new Promise(resolve => window.addEventListener('load', resolve));
+    }
+    window.marked = marked;
+    window.hljs = hljs;
+    window.fetch = createFetch(window, { skipRemote });
+
+    // Top-level classes are only visible to the script that declares them
+    const [VersionManager, MenuManager, ContentLoader, FrontMatter, NewsFeed] = window.eval(
+        `${mainScript}\n;[VersionManager, MenuManager, ContentLoader, FrontMatter, NewsFeed]`);
+    return { dom, window, document: window.document, VersionManager, MenuManager, ContentLoader, FrontMatter, NewsFeed };
+}
+
+// The default version's navigation, rendered into the page's sidebar
+async function loadNavigation(page) {
+    await page.VersionManager.load();
+    const navigation = await page.MenuManager.loadNavigation(page.VersionManager.current);
+    page.MenuManager.renderSidebar(navigation);
+    return navigation;
+}
+
+// Sidebar entries with content, in reading order, each with the section it belongs to
+function getPages(navigation) {
+    return navigation.sections.flatMap(section => [section, ...(section.pages || [])]
+        .map(entry => ({ ...entry, section: entry === section ? null : section })))
+        .filter(entry => entry.md || entry.remoteMd);
+}
+
+// Front matter and modification date of a local page; remote READMEs have neither
+function readPageSource(page, entry, lastUpdated) {
+    if (!entry.md) {
+        return { file: null, data: {}, body: null, lastModified: null };
+    }
+
+    const file = page.VersionManager.contentPath(entry.md);
+    const filePath = path.join(ROOT, file);
+    if (!fs.existsSync(filePath)) {
+        return { file, data: {}, body: null, lastModified: null };
+    }
+
+    const { data, body } = page.FrontMatter.parse(fs.readFileSync(filePath, 'utf8'));
+    const commit = lastUpdated.files[file];
+    return { file, data, body, lastModified: data.lastUpdated || (commit ? commit.date : null) };
+}
+
+function readLastUpdated() {
+    const file = path.join(ROOT, LAST_UPDATED_MANIFEST);
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : { files: {} };
+}
+
+function gitLastModified(file) {
+    const output = execFileSync('git', ['log', '-1', '--format=%cI', '--', file], { cwd: ROOT, encoding: 'utf8' }).trim();
+    return output || null;
+}
+
+// Writes a committed generated file, or with --check fails the run when the committed copy is out of date
+function writeGenerated(file, content) {
+    const relativePath = path.relative(ROOT, file);
+    if (!CHECK) {
+        fs.writeFileSync(file, content);
+        console.log(`Wrote ${relativePath}`);
+        return;
+    }
+
+    const committed = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+    if (committed === content) {
+        console.log(`${relativePath} is up to date`);
+    } else {
+        console.error(`${relativePath} is out of date: run npm run build and commit it`);
+        process.exitCode = 1;
+    }
+}
+
+function pageUrl(pageId) {
+    return new URL(`${encodeURIComponent(pageId)}.html`, SITE_URL).href;
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+module.exports = {
+    ROOT,
+    DIST_DIR,
+    SITE_URL,
+    SHELL,
+    CHECK,
+    shellHtml,
+    createPage,
+    loadNavigation,
+    getPages,
+    readPageSource,
+    readLastUpdated,
+    gitLastModified,
+    writeGenerated,
+    pageUrl,
+    escapeXml
+};
@@ -0,0 +1,148 @@
+// Water Framework service worker: offline documentation and cached content
+//
+// Bump CACHE_VERSION whenever the shell (HTML, CSS, JS) changes so readers
+// get the "update available" banner and the precache is rebuilt.
+const CACHE_VERSION = 'v21';
+const CACHE_PREFIX = 'water-docs-';
+const PRECACHE = `${CACHE_PREFIX}precache-${CACHE_VERSION}`;
+const REMOTE_CONTENT_CACHE = `${CACHE_PREFIX}remote-content`;
+
+const SHELL_FILES = [
+    'documentation.html',
+    'index.html',
+    'news.html',
+    'css/style.css',
+    'js/main.js',
+    'js/theme.js',
+    'content/versions.json',
+    'manifest.json',
+    'favicon.png',
+    'images/water-logo.png'
+];
+
+const CDN_FILES = [
+    'https://cdn.jsdelivr.net/npm/marked/marked.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.7.0/highlight.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.7.0/styles/github.min.css',
+    'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.7.0/styles/github-dark.min.css',
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0/css/all.min.css'
+];
+
+// Libraries, stylesheets and fonts served from these hosts are cached as they are used
+const CDN_HOSTS = [
+    'cdn.jsdelivr.net',
+    'cdnjs.cloudflare.com',
+    'fonts.googleapis.com',
+    'fonts.gstatic.com'
+];
+
+// Module READMEs linked from the sidebar with remote-md
+const REMOTE_CONTENT_HOST = 'raw.githubusercontent.com';
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(precache());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(removeOutdatedCaches().then(() => self.clients.claim()));
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request));
+    } else if (url.origin === self.location.origin || CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(event, PRECACHE));
+    } else if (url.hostname === REMOTE_CONTENT_HOST) {
+        event.respondWith(staleWhileRevalidate(event, REMOTE_CONTENT_CACHE));
+    }
+});
+
+async function precache() {
+    const cache = await caches.open(PRECACHE);
+    await cache.addAll(SHELL_FILES);
+
+    // CDN bundles and pages listed in the navigation manifest are best effort: a missing page must not block installation
+    const contentFiles = await findContentFiles(cache);
+    await Promise.all([...CDN_FILES, ...contentFiles].map(file =>
+        cache.add(file).catch(error => console.warn('Could not precache', file, error))
+    ));
+}
+
+// Pages of the default documentation version; other versions are cached as they are read
+async function findContentFiles(cache) {
+    const versionsResponse = await cache.match('content/versions.json');
+    const manifest = await versionsResponse.json();
+    const version = manifest.versions.find(entry => entry.id === manifest.default) || manifest.versions[0];
+    const folder = `content/${version.path}`;
+
+    // The manifest is required for the docs to work offline, so it is cached like the shell
+    await cache.add(`${folder}/navigation.json`);
+    const navigationResponse = await cache.match(`${folder}/navigation.json`);
+    const navigation = await navigationResponse.json();
+    const files = new Set();
+    navigation.sections.forEach(section => {
+        [section, ...(section.pages || [])].forEach(entry => {
+            if (entry.md) files.add(`${folder}/${entry.md}`);
+        });
+    });
+    return Array.from(files);
+}
+
+async function removeOutdatedCaches() {
+    const cacheNames = await caches.keys();
+    await Promise.all(cacheNames
+        .filter(name => name.startsWith(CACHE_PREFIX) && name !== PRECACHE && name !== REMOTE_CONTENT_CACHE)
+        .map(name => caches.delete(name)));
+}
+
+function isCacheable(response) {
+    return response && (response.ok || response.type === 'opaque');
+}
+
+async function networkFirst(request) {
+    const cache = await caches.open(PRECACHE);
+    try {
+        const response = await fetch(request);
+        if (isCacheable(response)) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        // documentation.html?page=... is the same shell for every page
+        const cached = await cache.match(request, { ignoreSearch: true });
+        return cached || cache.match('documentation.html');
+    }
+}
+
+async function staleWhileRevalidate(event, cacheName) {
+    const request = event.request;
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+
+    const update = fetch(request)
+        .then(response => {
+            if (isCacheable(response)) {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(error => {
+            if (!cached) throw error;
+            return cached;
+        });
+
+    // Keep the worker alive until the background refresh has been stored
+    event.waitUntil(update.catch(() => {}));
+    return cached || update;
+}